@@ -0,0 +1,312 @@
+// controllers/access.controller.js - Diary sharing (coach / dietitian access) controller
+const AccessGrant = require("../models/AccessGrant");
+const User = require("../models/User");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const logger = require("../utils/logger");
+const { sendEmail, buildAppUrl } = require("../utils/mailer");
+
+// Validate requested areas against the allowed list
+const invalidAreas = (areas) =>
+  (areas || []).filter((area) => !AccessGrant.AREAS.includes(area));
+
+/**
+ * @desc    Invite another account to access your diary
+ * @route   POST /api/access/invitations
+ * @access  Private
+ */
+exports.createInvitation = asyncHandler(async (req, res, next) => {
+  const { permission, areas } = req.body;
+  const email =
+    typeof req.body.email === "string"
+      ? req.body.email.toLowerCase().trim()
+      : "";
+
+  if (!email) {
+    return next(new ErrorResponse("Please provide an email to invite", 400));
+  }
+
+  if (email === req.user.email.toLowerCase()) {
+    return next(new ErrorResponse("You can not invite yourself", 400));
+  }
+
+  if (areas !== undefined && (!Array.isArray(areas) || areas.length === 0)) {
+    return next(new ErrorResponse("Please provide at least one area", 400));
+  }
+
+  if (invalidAreas(areas).length > 0) {
+    return next(
+      new ErrorResponse(`Invalid areas: ${invalidAreas(areas).join(", ")}`, 400)
+    );
+  }
+
+  const existing = await AccessGrant.findOne({
+    owner: req.user.id,
+    email,
+    status: { $in: ["pending", "active"] },
+  });
+
+  if (existing) {
+    return next(
+      new ErrorResponse(
+        "This email already has or has been offered access",
+        400
+      )
+    );
+  }
+
+  const grant = await AccessGrant.create({
+    owner: req.user.id,
+    email,
+    permission,
+    areas,
+  });
+
+  try {
+    await sendEmail({
+      to: email,
+      template: "accessInvitation",
+      data: {
+        ownerName: req.user.name || req.user.email,
+        permission: grant.permission,
+        areas: grant.areas,
+        appUrl: buildAppUrl("/access/invitations"),
+      },
+    });
+  } catch (err) {
+    logger.error("Could not send access invitation email", {
+      grantId: grant.id,
+      error: err.message,
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: grant,
+  });
+});
+
+/**
+ * @desc    Get access you have granted (pending and active)
+ * @route   GET /api/access/grants
+ * @access  Private
+ */
+exports.getGrants = asyncHandler(async (req, res, next) => {
+  const grants = await AccessGrant.find({
+    owner: req.user.id,
+    status: { $in: ["pending", "active"] },
+  })
+    .populate("grantee", "name email")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: grants.length,
+    data: grants,
+  });
+});
+
+/**
+ * @desc    Change the permission or areas of a grant
+ * @route   PUT /api/access/grants/:id
+ * @access  Private
+ */
+exports.updateGrant = asyncHandler(async (req, res, next) => {
+  const grant = await AccessGrant.findById(req.params.id);
+
+  if (!grant || ["declined", "revoked"].includes(grant.status)) {
+    return next(
+      new ErrorResponse(
+        `Access grant not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  // Make sure user owns the grant
+  if (grant.owner.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to update this access grant`, 401)
+    );
+  }
+
+  const { permission, areas } = req.body;
+
+  if (areas !== undefined) {
+    if (!Array.isArray(areas) || areas.length === 0) {
+      return next(new ErrorResponse("Please provide at least one area", 400));
+    }
+
+    if (invalidAreas(areas).length > 0) {
+      return next(
+        new ErrorResponse(
+          `Invalid areas: ${invalidAreas(areas).join(", ")}`,
+          400
+        )
+      );
+    }
+
+    grant.areas = areas;
+  }
+
+  if (permission !== undefined) {
+    grant.permission = permission;
+  }
+
+  await grant.save();
+
+  res.status(200).json({
+    success: true,
+    data: grant,
+  });
+});
+
+/**
+ * @desc    Revoke access (by the owner, or by the grantee giving it up)
+ * @route   DELETE /api/access/grants/:id
+ * @access  Private
+ */
+exports.revokeGrant = asyncHandler(async (req, res, next) => {
+  const grant = await AccessGrant.findById(req.params.id);
+
+  if (!grant) {
+    return next(
+      new ErrorResponse(
+        `Access grant not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  const isOwner = grant.owner.toString() === req.user.id;
+  const isGrantee = grant.grantee && grant.grantee.toString() === req.user.id;
+
+  if (!isOwner && !isGrantee) {
+    return next(
+      new ErrorResponse(`User not authorized to revoke this access grant`, 401)
+    );
+  }
+
+  if (grant.status !== "revoked") {
+    grant.status = "revoked";
+    grant.revokedAt = Date.now();
+    await grant.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// Invitations are addressed by email, so only a verified owner of it may see them
+const unverifiedEmailError = () =>
+  new ErrorResponse(
+    "Please verify your email address to see invitations sent to it",
+    403
+  );
+
+/**
+ * @desc    Get pending invitations sent to your email
+ * @route   GET /api/access/invitations
+ * @access  Private
+ */
+exports.getInvitations = asyncHandler(async (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return next(unverifiedEmailError());
+  }
+
+  const invitations = await AccessGrant.find({
+    email: req.user.email.toLowerCase(),
+    status: "pending",
+  })
+    .populate("owner", "name email")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations,
+  });
+});
+
+// Load a pending invitation addressed to the current user
+const findInvitation = async (req, next) => {
+  if (!req.user.emailVerified) {
+    next(unverifiedEmailError());
+    return null;
+  }
+
+  const grant = await AccessGrant.findById(req.params.id);
+
+  if (
+    !grant ||
+    grant.status !== "pending" ||
+    grant.email !== req.user.email.toLowerCase()
+  ) {
+    next(
+      new ErrorResponse(`Invitation not found with id of ${req.params.id}`, 404)
+    );
+    return null;
+  }
+
+  return grant;
+};
+
+/**
+ * @desc    Accept an invitation
+ * @route   PUT /api/access/invitations/:id/accept
+ * @access  Private
+ */
+exports.acceptInvitation = asyncHandler(async (req, res, next) => {
+  const grant = await findInvitation(req, next);
+  if (!grant) return;
+
+  grant.grantee = req.user.id;
+  grant.status = "active";
+  grant.acceptedAt = Date.now();
+  await grant.save();
+
+  res.status(200).json({
+    success: true,
+    data: grant,
+  });
+});
+
+/**
+ * @desc    Decline an invitation
+ * @route   PUT /api/access/invitations/:id/decline
+ * @access  Private
+ */
+exports.declineInvitation = asyncHandler(async (req, res, next) => {
+  const grant = await findInvitation(req, next);
+  if (!grant) return;
+
+  grant.status = "declined";
+  await grant.save();
+
+  res.status(200).json({
+    success: true,
+    data: grant,
+  });
+});
+
+/**
+ * @desc    Get users whose diaries you can access
+ * @route   GET /api/access/clients
+ * @access  Private
+ */
+exports.getClients = asyncHandler(async (req, res, next) => {
+  const grants = await AccessGrant.find({
+    grantee: req.user.id,
+    status: "active",
+  })
+    .populate("owner", "name email")
+    .sort({ acceptedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: grants.length,
+    data: grants,
+  });
+});
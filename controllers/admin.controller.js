@@ -0,0 +1,338 @@
+// controllers/admin.controller.js - Admin user management controller
+const User = require("../models/User");
+const Meal = require("../models/Meal");
+const Weight = require("../models/Weight");
+const Goal = require("../models/Goal");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const logger = require("../utils/logger");
+const { recordAuditEvent } = require("../utils/audit");
+const { sendEmail, buildAppUrl } = require("../utils/mailer");
+
+// Escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Count documents per user in a collection for a set of user IDs
+const countByUser = async (Model, userIds) => {
+  const counts = await Model.aggregate([
+    { $match: { user: { $in: userIds } } },
+    { $group: { _id: "$user", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map((c) => [c._id.toString(), c.count]));
+};
+
+// Usage counts for a set of users
+const getUsageCounts = async (userIds) => {
+  const [meals, weightEntries, goals] = await Promise.all([
+    countByUser(Meal, userIds),
+    countByUser(Weight, userIds),
+    countByUser(Goal, userIds),
+  ]);
+
+  return (userId) => ({
+    meals: meals.get(userId.toString()) || 0,
+    weightEntries: weightEntries.get(userId.toString()) || 0,
+    goals: goals.get(userId.toString()) || 0,
+  });
+};
+
+// Load the user targeted by an admin action
+const findTargetUser = async (req, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+    return null;
+  }
+
+  return user;
+};
+
+// Sign a user out everywhere and revoke their integrations
+const revokeAllAccess = async (user) => {
+  user.invalidateTokens();
+  await Session.revokeAllForUser(user._id);
+  await ApiToken.updateMany(
+    { user: user._id, revokedAt: { $exists: false } },
+    { revokedAt: Date.now() }
+  );
+};
+
+/**
+ * @desc    List and search users
+ * @route   GET /api/admin/users
+ * @access  Private/Admin
+ */
+exports.getUsers = asyncHandler(async (req, res, next) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+
+  // Build query
+  const query = {};
+
+  if (req.query.q) {
+    const pattern = new RegExp(escapeRegex(req.query.q), "i");
+    query.$or = [{ email: pattern }, { name: pattern }];
+  }
+
+  if (req.query.role) {
+    if (
+      typeof req.query.role !== "string" ||
+      !User.schema.path("role").enumValues.includes(req.query.role)
+    ) {
+      return next(new ErrorResponse("Please provide a valid role", 400));
+    }
+    query.role = req.query.role;
+  }
+
+  if (req.query.status === "disabled") {
+    query.disabledAt = { $exists: true };
+  } else if (req.query.status === "active") {
+    query.disabledAt = { $exists: false };
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(query),
+  ]);
+
+  const usageFor = await getUsageCounts(users.map((user) => user._id));
+
+  await recordAuditEvent(req, {
+    action: "admin.users.list",
+    metadata: { query: req.query },
+  });
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: users.map((user) => ({
+      ...user.toObject(),
+      usage: usageFor(user._id),
+    })),
+  });
+});
+
+/**
+ * @desc    Get a single user with usage counts
+ * @route   GET /api/admin/users/:id
+ * @access  Private/Admin
+ */
+exports.getUser = asyncHandler(async (req, res, next) => {
+  const user = await findTargetUser(req, next);
+  if (!user) return;
+
+  const usageFor = await getUsageCounts([user._id]);
+  const [activeSessions, activeApiTokens, lastMeal] = await Promise.all([
+    Session.countDocuments({
+      user: user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: Date.now() },
+    }),
+    ApiToken.countDocuments({ user: user._id, revokedAt: { $exists: false } }),
+    Meal.findOne({ user: user._id }).sort({ date: -1 }).select("date"),
+  ]);
+
+  await recordAuditEvent(req, {
+    action: "admin.user.view",
+    subject: user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...user.toObject(),
+      usage: {
+        ...usageFor(user._id),
+        activeSessions,
+        activeApiTokens,
+        lastMealAt: lastMeal ? lastMeal.date : null,
+      },
+    },
+  });
+});
+
+/**
+ * @desc    Get overall usage statistics
+ * @route   GET /api/admin/stats
+ * @access  Private/Admin
+ */
+exports.getStats = asyncHandler(async (req, res, next) => {
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+  const [users, roles, disabled, meals, mealsThisWeek, weightEntries] =
+    await Promise.all([
+      User.countDocuments(),
+      User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+      User.countDocuments({ disabledAt: { $exists: true } }),
+      Meal.countDocuments(),
+      Meal.countDocuments({ createdAt: { $gte: weekAgo } }),
+      Weight.countDocuments(),
+    ]);
+
+  await recordAuditEvent(req, { action: "admin.stats.view" });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users,
+      usersByRole: roles.reduce(
+        (acc, role) => ({ ...acc, [role._id || "user"]: role.count }),
+        {}
+      ),
+      disabledUsers: disabled,
+      meals,
+      mealsThisWeek,
+      weightEntries,
+    },
+  });
+});
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/admin/users/:id/role
+ * @access  Private/Admin
+ */
+exports.updateUserRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+
+  if (!User.schema.path("role").enumValues.includes(role)) {
+    return next(new ErrorResponse("Please provide a valid role", 400));
+  }
+
+  const user = await findTargetUser(req, next);
+  if (!user) return;
+
+  // Admins can't remove their own admin access
+  if (user.id === req.user.id) {
+    return next(new ErrorResponse("You can not change your own role", 400));
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: "admin.user.role",
+    subject: user._id,
+    metadata: { previousRole, role },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @desc    Disable an account (signs the user out everywhere)
+ * @route   PUT /api/admin/users/:id/disable
+ * @access  Private/Admin
+ */
+exports.disableUser = asyncHandler(async (req, res, next) => {
+  const user = await findTargetUser(req, next);
+  if (!user) return;
+
+  if (user.id === req.user.id) {
+    return next(new ErrorResponse("You can not disable your own account", 400));
+  }
+
+  user.disabledAt = Date.now();
+  user.disabledReason = req.body.reason;
+  await revokeAllAccess(user);
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: "admin.user.disable",
+    subject: user._id,
+    metadata: { reason: req.body.reason },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @desc    Re-enable a disabled account
+ * @route   PUT /api/admin/users/:id/enable
+ * @access  Private/Admin
+ */
+exports.enableUser = asyncHandler(async (req, res, next) => {
+  const user = await findTargetUser(req, next);
+  if (!user) return;
+
+  user.disabledAt = undefined;
+  user.disabledReason = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: "admin.user.enable",
+    subject: user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @desc    Force a password reset (signs the user out and emails a reset link)
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @access  Private/Admin
+ */
+exports.forcePasswordReset = asyncHandler(async (req, res, next) => {
+  const user = await findTargetUser(req, next);
+  if (!user) return;
+
+  user.passwordResetRequired = true;
+  await revokeAllAccess(user);
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  let emailSent = true;
+  try {
+    await sendEmail({
+      to: user.email,
+      template: "passwordReset",
+      data: {
+        name: user.name,
+        resetUrl: buildAppUrl(`/resetpassword/${resetToken}`),
+        expiresInMinutes: 10,
+      },
+    });
+  } catch (err) {
+    emailSent = false;
+    logger.error("Could not send forced password reset email", {
+      userId: user.id,
+      error: err.message,
+    });
+  }
+
+  await recordAuditEvent(req, {
+    action: "admin.user.force-password-reset",
+    subject: user._id,
+    metadata: { emailSent },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      emailSent,
+    },
+  });
+});
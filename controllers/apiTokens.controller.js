@@ -0,0 +1,113 @@
+// controllers/apiTokens.controller.js - Personal access token management controller
+const ApiToken = require("../models/ApiToken");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const { recordAuditEvent } = require("../utils/audit");
+
+/**
+ * @desc    Get all API tokens for the current user
+ * @route   GET /api/tokens
+ * @access  Private
+ */
+exports.getApiTokens = asyncHandler(async (req, res, next) => {
+  const tokens = await ApiToken.find({
+    user: req.user.id,
+    revokedAt: { $exists: false },
+  }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: tokens.length,
+    data: tokens,
+  });
+});
+
+/**
+ * @desc    Create API token (the raw token is only returned here)
+ * @route   POST /api/tokens
+ * @access  Private
+ */
+exports.createApiToken = asyncHandler(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return next(
+      new ErrorResponse(
+        `Please provide scopes from: ${ApiToken.SCOPES.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  if (
+    expiresInDays !== undefined &&
+    (!Number.isFinite(Number(expiresInDays)) || Number(expiresInDays) <= 0)
+  ) {
+    return next(
+      new ErrorResponse("expiresInDays must be a positive number", 400)
+    );
+  }
+
+  const apiToken = new ApiToken({
+    user: req.user.id,
+    name,
+    scopes,
+    expiresAt: expiresInDays
+      ? Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000
+      : undefined,
+  });
+
+  const token = apiToken.generateToken();
+  await apiToken.save();
+
+  await recordAuditEvent(req, {
+    action: "auth.api-token.create",
+    metadata: { tokenId: apiToken.id, name: apiToken.name, scopes },
+  });
+
+  // The saved document still holds the hash, which select: false can't hide
+  const { tokenHash, ...data } = apiToken.toObject();
+
+  res.status(201).json({
+    success: true,
+    token,
+    data,
+  });
+});
+
+/**
+ * @desc    Revoke API token
+ * @route   DELETE /api/tokens/:id
+ * @access  Private
+ */
+exports.revokeApiToken = asyncHandler(async (req, res, next) => {
+  const apiToken = await ApiToken.findById(req.params.id);
+
+  if (!apiToken) {
+    return next(
+      new ErrorResponse(`API token not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the token
+  if (apiToken.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to revoke this API token`, 401)
+    );
+  }
+
+  if (!apiToken.revokedAt) {
+    apiToken.revokedAt = Date.now();
+    await apiToken.save();
+
+    await recordAuditEvent(req, {
+      action: "auth.api-token.revoke",
+      metadata: { tokenId: apiToken.id, name: apiToken.name },
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
@@ -1,29 +1,132 @@
 // controllers/auth.controller.js - Authentication controller
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
+const logger = require("../utils/logger");
+const { sendEmail, buildAppUrl } = require("../utils/mailer");
+const {
+  getIpDelay,
+  recordIpFailure,
+  clearAccountFailures,
+} = require("../utils/loginThrottle");
+const { recordAuditEvent } = require("../utils/audit");
+const AuditEvent = require("../models/AuditEvent");
 const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
 
-// Helper function to send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// Cookie options shared by the access and refresh token cookies
+const cookieOptions = (expires) => ({
+  expires,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+});
 
-  const options = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRE || 30) * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-  };
+// Helper function to send the tokens for an existing session
+const sendSessionResponse = (user, session, refreshToken, statusCode, res) => {
+  // Create short-lived access token bound to the session
+  const token = user.getSignedJwtToken(session._id);
+  const { exp } = jwt.decode(token);
 
   // Remove password from response
   user.password = undefined;
 
-  res.status(statusCode).cookie("token", token, options).json({
-    success: true,
-    token,
-    user,
+  res
+    .status(statusCode)
+    .cookie("token", token, cookieOptions(new Date(exp * 1000)))
+    .cookie("refreshToken", refreshToken, {
+      ...cookieOptions(session.expiresAt),
+      path: "/api/auth",
+    })
+    .json({
+      success: true,
+      token,
+      refreshToken,
+      user,
+    });
+};
+
+// Helper function to start a new session and send token response
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, req);
+
+  await recordAuditEvent(req, {
+    action: "auth.token.issue",
+    actor: user._id,
+    metadata: { sessionId: session.id },
+  });
+
+  sendSessionResponse(user, session, refreshToken, statusCode, res);
+};
+
+// Helper function to clear the auth cookies
+const clearAuthCookies = (res) => {
+  const expires = new Date(Date.now() + 10 * 1000);
+
+  res.cookie("token", "none", { expires, httpOnly: true });
+  res.cookie("refreshToken", "none", {
+    expires,
+    httpOnly: true,
+    path: "/api/auth",
+  });
+};
+
+// Read a refresh token from the request body or cookie
+const getRefreshToken = (req) =>
+  req.body.refreshToken || (req.cookies && req.cookies.refreshToken);
+
+// Helper function to issue a verification token and email the link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendEmail({
+    to: user.email,
+    template: "emailVerification",
+    data: {
+      name: user.name,
+      verificationUrl: buildAppUrl(`/verifyemail/${verificationToken}`),
+    },
+  });
+};
+
+// Helper function to record a login attempt in the audit log
+const auditLogin = (req, user, outcome, reason) =>
+  recordAuditEvent(req, {
+    action: "auth.login",
+    actor: user ? user._id : undefined,
+    outcome,
+    metadata: reason ? { reason, email: req.body.email } : undefined,
+  });
+
+// Helper function to reject an attempt that arrived before its delay expired
+const tooManyAttempts = (res, next, delayMs) => {
+  const seconds = Math.ceil(delayMs / 1000);
+
+  res.set("Retry-After", String(seconds));
+
+  return next(
+    new ErrorResponse(
+      `Too many failed login attempts. Please try again in ${seconds} seconds`,
+      429
+    )
+  );
+};
+
+// Helper function to email a reset link that unlocks a locked account
+const sendAccountLockedEmail = async (user) => {
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendEmail({
+    to: user.email,
+    template: "accountLocked",
+    data: {
+      name: user.name,
+      resetUrl: buildAppUrl(`/resetpassword/${resetToken}`),
+      lockMinutes: Number(process.env.LOGIN_LOCK_MINUTES || 15),
+    },
   });
 };
 
@@ -41,8 +144,20 @@ exports.register = asyncHandler(async (req, res, next) => {
     password,
   });
 
+  await recordAuditEvent(req, { action: "auth.register", actor: user._id });
+
+  // Send verification link; a mail failure shouldn't block registration
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    logger.error("Could not send verification email", {
+      userId: user.id,
+      error: err.message,
+    });
+  }
+
   // Return token
-  sendTokenResponse(user, 201, res);
+  await sendTokenResponse(user, 201, req, res);
 });
 
 /**
@@ -58,22 +173,244 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Please provide an email and password", 400));
   }
 
+  // Slow down IPs with many recent failures
+  const ipDelay = getIpDelay(req.ip);
+
+  if (ipDelay > 0) {
+    await auditLogin(req, null, "failure", "ip-throttled");
+    return tooManyAttempts(res, next, ipDelay);
+  }
+
   // Check for user
   const user = await User.findOne({ email }).select("+password");
 
   if (!user) {
+    recordIpFailure(req.ip, String(email));
+    await auditLogin(req, null, "failure", "unknown-email");
     return next(new ErrorResponse("Invalid credentials", 401));
   }
 
+  if (user.isLocked()) {
+    logger.warn("Login attempt on locked account", {
+      userId: user.id,
+      ip: req.ip,
+      lockUntil: user.lockUntil,
+    });
+    await auditLogin(req, user, "failure", "account-locked");
+
+    return next(
+      new ErrorResponse(
+        "Account is temporarily locked due to repeated failed logins. Try again later or reset your password to unlock it",
+        423
+      )
+    );
+  }
+
+  // Slow down accounts with several recent failures
+  const accountDelay = user.getLoginDelay();
+
+  if (accountDelay > 0) {
+    await auditLogin(req, user, "failure", "account-throttled");
+    return tooManyAttempts(res, next, accountDelay);
+  }
+
   // Check if password matches
   const isMatch = await user.matchPassword(password);
 
   if (!isMatch) {
+    recordIpFailure(req.ip, user.email);
+    const locked = await user.registerFailedLogin();
+    await auditLogin(req, user, "failure", "invalid-password");
+
+    if (locked) {
+      await recordAuditEvent(req, {
+        action: "auth.account.lock",
+        actor: user._id,
+        metadata: { lockUntil: user.lockUntil },
+      });
+
+      logger.warn("Account locked after repeated failed logins", {
+        userId: user.id,
+        ip: req.ip,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockUntil: user.lockUntil,
+      });
+
+      try {
+        await sendAccountLockedEmail(user);
+      } catch (err) {
+        logger.error("Could not send account locked email", {
+          userId: user.id,
+          error: err.message,
+        });
+      }
+    }
+
     return next(new ErrorResponse("Invalid credentials", 401));
   }
 
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    user.resetLoginAttempts();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  if (user.disabledAt) {
+    await auditLogin(req, user, "failure", "account-disabled");
+    return next(new ErrorResponse("This account has been disabled", 403));
+  }
+
+  if (user.passwordResetRequired) {
+    await auditLogin(req, user, "failure", "password-reset-required");
+    return next(
+      new ErrorResponse(
+        "A password reset is required. Please use the link we emailed you or request a new one",
+        403
+      )
+    );
+  }
+
+  // With two-factor enabled, the password only earns a challenge token
+  if (user.twoFactor.enabled) {
+    await recordAuditEvent(req, {
+      action: "auth.login.challenge",
+      actor: user._id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: user.getTwoFactorChallengeToken(),
+    });
+  }
+
+  // Forget this account's failures from the IP (but not other accounts')
+  clearAccountFailures(req.ip, user.email);
+
+  await auditLogin(req, user, "success");
+
+  // Return token
+  await sendTokenResponse(user, 200, req, res);
+});
+
+/**
+ * @desc    Complete a two-factor login with a TOTP or recovery code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public
+ */
+exports.verifyTwoFactor = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(
+      new ErrorResponse(
+        "Please provide the challenge token and a verification code",
+        400
+      )
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(
+      challengeToken,
+      process.env.JWT_SECRET || "your_jwt_secret_key_dev_only"
+    );
+  } catch (err) {
+    return next(
+      new ErrorResponse("Login challenge has expired, please log in again", 401)
+    );
+  }
+
+  if (decoded.purpose !== "2fa") {
+    return next(new ErrorResponse("Invalid challenge token", 401));
+  }
+
+  const ipDelay = getIpDelay(req.ip);
+
+  if (ipDelay > 0) {
+    return tooManyAttempts(res, next, ipDelay);
+  }
+
+  const user = await User.findById(decoded.id).select(
+    "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes"
+  );
+
+  if (!user || !user.twoFactor.enabled || decoded.tv !== user.tokenVersion) {
+    return next(
+      new ErrorResponse("Login challenge has expired, please log in again", 401)
+    );
+  }
+
+  if (user.disabledAt) {
+    return next(new ErrorResponse("This account has been disabled", 403));
+  }
+
+  if (user.isLocked()) {
+    return next(
+      new ErrorResponse(
+        "Account is temporarily locked due to repeated failed logins. Try again later or reset your password to unlock it",
+        423
+      )
+    );
+  }
+
+  const accountDelay = user.getLoginDelay();
+
+  if (accountDelay > 0) {
+    return tooManyAttempts(res, next, accountDelay);
+  }
+
+  const verified = recoveryCode
+    ? user.useRecoveryCode(recoveryCode)
+    : user.verifyTwoFactorCode(code);
+
+  if (!verified) {
+    // Wrong codes count towards the same lockout as wrong passwords
+    recordIpFailure(req.ip, user.email);
+    const locked = await user.registerFailedLogin();
+    await recordAuditEvent(req, {
+      action: "auth.2fa.verify",
+      actor: user._id,
+      outcome: "failure",
+      metadata: { method: recoveryCode ? "recovery-code" : "totp" },
+    });
+
+    if (locked) {
+      await recordAuditEvent(req, {
+        action: "auth.account.lock",
+        actor: user._id,
+        metadata: { lockUntil: user.lockUntil },
+      });
+
+      logger.warn("Account locked after repeated failed two-factor codes", {
+        userId: user.id,
+        ip: req.ip,
+        lockUntil: user.lockUntil,
+      });
+    }
+
+    return next(new ErrorResponse("Invalid verification code", 401));
+  }
+
+  if (recoveryCode) {
+    logger.info("Recovery code used for two-factor login", {
+      userId: user.id,
+      remaining: user.twoFactor.recoveryCodes.length,
+    });
+  }
+
+  user.resetLoginAttempts();
+  await user.save({ validateBeforeSave: false });
+  clearAccountFailures(req.ip, user.email);
+
+  await recordAuditEvent(req, {
+    action: "auth.2fa.verify",
+    actor: user._id,
+    metadata: { method: recoveryCode ? "recovery-code" : "totp" },
+  });
+
   // Return token
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res);
 });
 
 /**
@@ -91,15 +428,29 @@ exports.getMe = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Logout user / clear cookie
+ * @desc    Logout user / revoke current session and clear cookies
  * @route   GET /api/auth/logout
  * @access  Private
  */
 exports.logout = asyncHandler(async (req, res, next) => {
-  res.cookie("token", "none", {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-  });
+  const refreshToken = getRefreshToken(req);
+
+  if (refreshToken) {
+    const session = await Session.findByRefreshToken(refreshToken);
+
+    if (session && !session.revokedAt) {
+      session.revokedAt = Date.now();
+      await session.save();
+
+      await recordAuditEvent(req, {
+        action: "auth.logout",
+        actor: session.user,
+        metadata: { sessionId: session.id },
+      });
+    }
+  }
+
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -118,11 +469,34 @@ exports.updateDetails = asyncHandler(async (req, res, next) => {
     email: req.body.email,
   };
 
+  // A new email address has to be verified again
+  const emailChanged = req.body.email && req.body.email !== req.user.email;
+
+  if (emailChanged) {
+    fieldsToUpdate.emailVerified = false;
+  }
+
   const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
     new: true,
     runValidators: true,
   });
 
+  if (emailChanged) {
+    await recordAuditEvent(req, {
+      action: "auth.email.change",
+      metadata: { from: req.user.email, to: user.email },
+    });
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      logger.error("Could not send verification email", {
+        userId: user.id,
+        error: err.message,
+      });
+    }
+  }
+
   res.status(200).json({
     success: true,
     data: user,
@@ -139,13 +513,25 @@ exports.updatePassword = asyncHandler(async (req, res, next) => {
 
   // Check current password
   if (!(await user.matchPassword(req.body.currentPassword))) {
+    await recordAuditEvent(req, {
+      action: "auth.password.change",
+      outcome: "failure",
+      metadata: { reason: "incorrect-password" },
+    });
     return next(new ErrorResponse("Password is incorrect", 401));
   }
 
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // Sign out every device and revoke API tokens; the response below starts
+  // a fresh session
+  await Session.revokeAllForUser(user._id);
+  await ApiToken.revokeAllForUser(user._id);
+
+  await recordAuditEvent(req, { action: "auth.password.change" });
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
 /**
@@ -157,6 +543,11 @@ exports.forgotPassword = asyncHandler(async (req, res, next) => {
   const user = await User.findOne({ email: req.body.email });
 
   if (!user) {
+    await recordAuditEvent(req, {
+      action: "auth.password.reset-request",
+      outcome: "failure",
+      metadata: { reason: "unknown-email", email: req.body.email },
+    });
     return next(new ErrorResponse("There is no user with that email", 404));
   }
 
@@ -165,21 +556,52 @@ exports.forgotPassword = asyncHandler(async (req, res, next) => {
 
   await user.save({ validateBeforeSave: false });
 
-  // In a real app, you would send an email with the reset token
-  // For now, just return the token in the response (for development)
+  try {
+    await sendEmail({
+      to: user.email,
+      template: "passwordReset",
+      data: {
+        name: user.name,
+        resetUrl: buildAppUrl(`/resetpassword/${resetToken}`),
+        expiresInMinutes: 10,
+      },
+    });
+  } catch (err) {
+    logger.error("Could not send password reset email", {
+      userId: user.id,
+      error: err.message,
+    });
+
+    // Don't leave a usable token behind if the user never received it
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAuditEvent(req, {
+      action: "auth.password.reset-request",
+      actor: user._id,
+      outcome: "failure",
+      metadata: { reason: "email-failed" },
+    });
+
+    return next(new ErrorResponse("Email could not be sent", 500));
+  }
+
+  await recordAuditEvent(req, {
+    action: "auth.password.reset-request",
+    actor: user._id,
+  });
 
   res.status(200).json({
     success: true,
     data: {
-      resetToken,
-      message:
-        "In a production app, an email would be sent with reset instructions",
+      message: "Password reset instructions have been sent to your email",
     },
   });
 });
 
 /**
- * @desc    Reset password
+ * @desc    Reset password (accounts with two-factor get a login challenge)
  * @route   PUT /api/auth/resetpassword/:resettoken
  * @access  Public
  */
@@ -196,6 +618,11 @@ exports.resetPassword = asyncHandler(async (req, res, next) => {
   });
 
   if (!user) {
+    await recordAuditEvent(req, {
+      action: "auth.password.reset",
+      outcome: "failure",
+      metadata: { reason: "invalid-token" },
+    });
     return next(new ErrorResponse("Invalid token", 400));
   }
 
@@ -203,7 +630,294 @@ exports.resetPassword = asyncHandler(async (req, res, next) => {
   user.password = req.body.password;
   user.resetPasswordToken = undefined;
   user.resetPasswordExpire = undefined;
+
+  // Resetting the password also unlocks the account
+  if (user.isLocked()) {
+    logger.info("Account unlocked through password reset", {
+      userId: user.id,
+    });
+  }
+  user.resetLoginAttempts();
+  user.passwordResetRequired = false;
+
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // Sign out every device and revoke API tokens; the response below starts
+  // a fresh session
+  await Session.revokeAllForUser(user._id);
+  await ApiToken.revokeAllForUser(user._id);
+
+  await recordAuditEvent(req, {
+    action: "auth.password.reset",
+    actor: user._id,
+  });
+
+  // The reset link proves control of the mailbox, not of the second factor
+  if (user.twoFactor.enabled) {
+    await recordAuditEvent(req, {
+      action: "auth.login.challenge",
+      actor: user._id,
+    });
+
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: user.getTwoFactorChallengeToken(),
+    });
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+/**
+ * @desc    Verify email address
+ * @route   GET /api/auth/verifyemail/:verificationtoken
+ * @access  Public
+ */
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  // Get hashed token
+  const emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(req.params.verificationtoken)
+    .digest("hex");
+
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(new ErrorResponse("Invalid token", 400));
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: "auth.email.verify",
+    actor: user._id,
+    metadata: { email: user.email },
+  });
+
+  try {
+    await sendEmail({
+      to: user.email,
+      template: "welcome",
+      data: { name: user.name, appUrl: buildAppUrl() },
+    });
+  } catch (err) {
+    logger.error("Could not send welcome email", {
+      userId: user.id,
+      error: err.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
+
+/**
+ * @desc    Resend email verification link
+ * @route   POST /api/auth/resendverification
+ * @access  Private
+ */
+exports.resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.emailVerified) {
+    return next(new ErrorResponse("Email is already verified", 400));
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    logger.error("Could not send verification email", {
+      userId: user.id,
+      error: err.message,
+    });
+    return next(new ErrorResponse("Email could not be sent", 500));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      message: "A verification link has been sent to your email",
+    },
+  });
+});
+
+/**
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+  const refreshToken = getRefreshToken(req);
+
+  if (!refreshToken) {
+    return next(new ErrorResponse("Please provide a refresh token", 400));
+  }
+
+  const session = await Session.findByRefreshToken(refreshToken);
+
+  if (!session) {
+    // A rotated token being presented again means it was leaked or replayed,
+    // so the whole session is revoked
+    const reusedSession = await Session.findByPreviousToken(refreshToken);
+
+    if (reusedSession && !reusedSession.revokedAt) {
+      reusedSession.revokedAt = Date.now();
+      await reusedSession.save();
+
+      await recordAuditEvent(req, {
+        action: "auth.token.refresh",
+        actor: reusedSession.user,
+        outcome: "failure",
+        metadata: { reason: "token-reuse", sessionId: reusedSession.id },
+      });
+
+      logger.warn("Refresh token reuse detected, session revoked", {
+        sessionId: reusedSession.id,
+        userId: reusedSession.user.toString(),
+        ip: req.ip,
+      });
+    }
+
+    return next(new ErrorResponse("Invalid refresh token", 401));
+  }
+
+  if (!session.isActive()) {
+    return next(new ErrorResponse("Session has expired or been revoked", 401));
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user) {
+    return next(new ErrorResponse("User not found for this session", 401));
+  }
+
+  if (user.disabledAt) {
+    return next(new ErrorResponse("This account has been disabled", 403));
+  }
+
+  // Rotate the refresh token
+  const newRefreshToken = session.generateRefreshToken();
+  session.userAgent = req.headers["user-agent"];
+  session.ip = req.ip;
+  await session.save();
+
+  await recordAuditEvent(req, {
+    action: "auth.token.refresh",
+    actor: user._id,
+    metadata: { sessionId: session.id },
+  });
+
+  sendSessionResponse(user, session, newRefreshToken, 200, res);
+});
+
+/**
+ * @desc    Get signed-in devices (active sessions)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => ({
+      id: session.id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.id === req.authSession.id,
+    })),
+  });
+});
+
+/**
+ * @desc    Revoke a single session (sign out a device)
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+  });
+
+  if (!session) {
+    return next(
+      new ErrorResponse(`Session not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (!session.revokedAt) {
+    session.revokedAt = Date.now();
+    await session.save();
+
+    await recordAuditEvent(req, {
+      action: "auth.session.revoke",
+      metadata: { sessionId: session.id },
+    });
+  }
+
+  // Signing out the current device also clears its cookies
+  if (session.id === req.authSession.id) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+/**
+ * @desc    Revoke all sessions (sign out everywhere)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeAllSessions = asyncHandler(async (req, res, next) => {
+  await Session.revokeAllForUser(req.user.id);
+
+  await recordAuditEvent(req, { action: "auth.session.revoke-all" });
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+/**
+ * @desc    Get recent security activity on the current account
+ * @route   GET /api/auth/activity
+ * @access  Private
+ */
+exports.getActivity = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const events = await AuditEvent.find({ subject: req.user.id })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select("action outcome ip userAgent metadata createdAt");
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    data: events,
+  });
 });
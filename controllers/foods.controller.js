@@ -0,0 +1,362 @@
+// controllers/foods.controller.js - Food catalog controller
+const Food = require("../models/Food");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const { searchFoods } = require("../utils/foodSearch");
+const { normalizeUnit } = require("../utils/units");
+const { NUTRIENT_KEYS } = require("../utils/nutrients");
+const { normalizeBarcode, barcodeVariants } = require("../utils/barcodes");
+const { toCatalogFood } = require("../utils/foodCatalog");
+const { buildItem, lookupBarcode } = require("../utils/nutritionAnalysis");
+
+// Fields a user can set on a custom food
+const CUSTOM_FOOD_FIELDS = [
+  "name",
+  "brand",
+  "aliases",
+  "barcode",
+  "servingUnit",
+  "servingSize",
+  "calories",
+  ...NUTRIENT_KEYS,
+];
+
+// Nutrition keys stored per 100 g
+const NUTRITION_KEYS = ["calories", ...NUTRIENT_KEYS];
+
+// Serving size, when given, must be a positive weight in grams
+const invalidServingSize = (body) =>
+  body.servingSize !== undefined && !(Number(body.servingSize) > 0);
+
+// Barcode, when given, must be an EAN/UPC code
+const invalidBarcode = (body) =>
+  body.barcode !== undefined &&
+  body.barcode !== "" &&
+  !normalizeBarcode(body.barcode);
+
+/**
+ * Whether the user already has another custom food with a name
+ * @param {string} userId - Owner
+ * @param {string} name - Name to check (ignored if empty)
+ * @param {ObjectId} [excludeId] - Food being updated
+ * @returns {Promise<boolean>}
+ */
+const hasCustomFoodNamed = async (userId, name, excludeId) => {
+  if (!name) return false;
+
+  const existing = await Food.exists({
+    owner: userId,
+    name: String(name).trim().toLowerCase(),
+    _id: { $ne: excludeId },
+  });
+
+  return Boolean(existing);
+};
+
+/**
+ * Describe a food's default serving with nutrition per serving
+ * @param {Object} food - Food document
+ * @returns {Object} - { servingUnit, servingSize, calories, protein, carbs, ... }
+ */
+const toServingView = (food) => {
+  const serving = food.servings.find(
+    (entry) => entry.unit === food.defaultUnit
+  ) || { unit: food.defaultUnit, grams: 100 };
+  const factor = serving.grams / 100;
+
+  const view = { servingUnit: serving.unit, servingSize: serving.grams };
+  NUTRITION_KEYS.forEach((key) => {
+    view[key] = Math.round((food[key] || 0) * factor * 10) / 10;
+  });
+
+  return view;
+};
+
+/**
+ * Apply custom food fields from a request body
+ * Users enter nutrition per serving; it's stored per 100 g like the catalog.
+ * Without a serving size the serving is taken to weigh 100 g.
+ * @param {Object} food - Food document (new or existing)
+ * @param {Object} body - Request body
+ */
+const applyCustomFoodFields = (food, body) => {
+  const input = food.isNew ? {} : toServingView(food);
+
+  CUSTOM_FOOD_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) input[field] = body[field];
+  });
+
+  const servingSize = Number(input.servingSize) || 100;
+  const servingUnit =
+    normalizeUnit(input.servingUnit) || input.servingUnit || "serving";
+
+  ["name", "brand", "aliases"].forEach((field) => {
+    if (body[field] !== undefined) food[field] = body[field];
+  });
+
+  if (body.barcode !== undefined) {
+    food.barcode = normalizeBarcode(body.barcode) || undefined;
+  }
+
+  NUTRITION_KEYS.forEach((key) => {
+    if (input[key] !== undefined) {
+      food[key] = (Number(input[key]) * 100) / servingSize;
+    }
+  });
+
+  food.servings = [{ unit: servingUnit, grams: servingSize }];
+  food.defaultUnit = servingUnit;
+};
+
+/**
+ * Custom food response with per-serving nutrition alongside the stored values
+ * @param {Object} food - Food document
+ * @returns {Object} - Response data
+ */
+const customFoodResponse = (food) => {
+  const { searchTerms, ...data } = food.toObject();
+
+  return { ...data, serving: toServingView(food) };
+};
+
+/**
+ * @desc    Search foods for autocomplete (?q=, ?limit= up to 50)
+ * @route   GET /api/foods
+ * @access  Private
+ */
+exports.getFoods = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+  const foods = await searchFoods(req.query.q, {
+    userId: req.user._id,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: foods.length,
+    data: foods,
+  });
+});
+
+/**
+ * @desc    Look up a packaged food by barcode
+ *          The user's custom foods and the catalog are checked first, then the
+ *          configured nutrition provider (whose result is saved to the catalog)
+ * @route   GET /api/foods/barcode/:code
+ * @access  Private
+ */
+exports.getFoodByBarcode = asyncHandler(async (req, res, next) => {
+  const code = normalizeBarcode(req.params.code);
+
+  if (!code) {
+    return next(new ErrorResponse("Please provide a valid barcode", 400));
+  }
+
+  const matches = await Food.find({
+    barcode: { $in: barcodeVariants(code) },
+    $or: [{ owner: null }, { owner: req.user.id }],
+  });
+
+  // The user's own food for a barcode wins over the catalog's
+  let food = matches.find((match) => match.owner) || matches[0];
+
+  if (!food) {
+    const product = await lookupBarcode(code);
+
+    // Keep the product so the next scan resolves locally; upserting by
+    // barcode means concurrent scans share one catalog food
+    if (product && !new Food({ ...product, barcode: code }).validateSync()) {
+      food = await Food.findOneAndUpdate(
+        { barcode: code, owner: null },
+        {
+          $setOnInsert: {
+            ...product,
+            barcode: code,
+            // Save hooks don't run on updates
+            searchTerms: Food.buildSearchTerms(product),
+          },
+        },
+        { upsert: true, new: true }
+      );
+    }
+  }
+
+  if (!food) {
+    return next(new ErrorResponse(`No food found with barcode ${code}`, 404));
+  }
+
+  // One serving, ready to send as a meal item
+  const serving = toServingView(food);
+  const item = buildItem({
+    food: toCatalogFood(food),
+    quantity: serving.servingUnit === "g" ? serving.servingSize : 1,
+    unit: serving.servingUnit,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { ...food.toObject(), serving, item },
+  });
+});
+
+/**
+ * @desc    Get single food
+ * @route   GET /api/foods/:id
+ * @access  Private
+ */
+exports.getFood = asyncHandler(async (req, res, next) => {
+  const food = await Food.findById(req.params.id);
+
+  if (!food) {
+    return next(
+      new ErrorResponse(`Food not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Custom foods are private to their owner
+  if (food.owner && food.owner.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to access this food`, 401)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: food,
+  });
+});
+
+/**
+ * @desc    Get the current user's custom foods
+ * @route   GET /api/foods/custom
+ * @access  Private
+ */
+exports.getCustomFoods = asyncHandler(async (req, res, next) => {
+  const foods = await Food.find({ owner: req.user.id }).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: foods.length,
+    data: foods.map(customFoodResponse),
+  });
+});
+
+/**
+ * @desc    Create custom food (nutrition per serving)
+ * @route   POST /api/foods/custom
+ * @access  Private
+ */
+exports.createCustomFood = asyncHandler(async (req, res, next) => {
+  if (invalidServingSize(req.body)) {
+    return next(
+      new ErrorResponse("Serving size must be a positive number of grams", 400)
+    );
+  }
+
+  if (invalidBarcode(req.body)) {
+    return next(new ErrorResponse("Please provide a valid barcode", 400));
+  }
+
+  if (await hasCustomFoodNamed(req.user.id, req.body.name)) {
+    return next(
+      new ErrorResponse(
+        `You already have a custom food named ${req.body.name}`,
+        400
+      )
+    );
+  }
+
+  const food = new Food({ owner: req.user.id });
+  applyCustomFoodFields(food, req.body);
+  await food.save();
+
+  res.status(201).json({
+    success: true,
+    data: customFoodResponse(food),
+  });
+});
+
+/**
+ * @desc    Update custom food
+ * @route   PUT /api/foods/custom/:id
+ * @access  Private
+ */
+exports.updateCustomFood = asyncHandler(async (req, res, next) => {
+  const food = await Food.findById(req.params.id);
+
+  if (!food || !food.owner) {
+    return next(
+      new ErrorResponse(
+        `Custom food not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  // Make sure user owns the food
+  if (food.owner.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to update this food`, 401)
+    );
+  }
+
+  if (invalidServingSize(req.body)) {
+    return next(
+      new ErrorResponse("Serving size must be a positive number of grams", 400)
+    );
+  }
+
+  if (invalidBarcode(req.body)) {
+    return next(new ErrorResponse("Please provide a valid barcode", 400));
+  }
+
+  if (await hasCustomFoodNamed(req.user.id, req.body.name, food._id)) {
+    return next(
+      new ErrorResponse(
+        `You already have a custom food named ${req.body.name}`,
+        400
+      )
+    );
+  }
+
+  applyCustomFoodFields(food, req.body);
+  await food.save();
+
+  res.status(200).json({
+    success: true,
+    data: customFoodResponse(food),
+  });
+});
+
+/**
+ * @desc    Delete custom food
+ * @route   DELETE /api/foods/custom/:id
+ * @access  Private
+ */
+exports.deleteCustomFood = asyncHandler(async (req, res, next) => {
+  const food = await Food.findById(req.params.id);
+
+  if (!food || !food.owner) {
+    return next(
+      new ErrorResponse(
+        `Custom food not found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  // Make sure user owns the food
+  if (food.owner.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to delete this food`, 401)
+    );
+  }
+
+  await food.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
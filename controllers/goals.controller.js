@@ -5,12 +5,12 @@ const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
 
 /**
- * @desc    Get current user's goal
+ * @desc    Get current user's goal (?userId= for a client who granted access)
  * @route   GET /api/goals/current
  * @access  Private
  */
 exports.getCurrentGoal = asyncHandler(async (req, res, next) => {
-  const goal = await Goal.findOne({ user: req.user.id }).sort({
+  const goal = await Goal.findOne({ user: req.diaryOwnerId }).sort({
     createdAt: -1,
   });
 
@@ -0,0 +1,166 @@
+// controllers/mealTemplates.controller.js - Saved meal templates controller
+const Meal = require("../models/Meal");
+const MealTemplate = require("../models/MealTemplate");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const { recordFoodUsage } = require("../utils/foodCatalog");
+
+/**
+ * @desc    Get all meal templates for the current user
+ * @route   GET /api/meals/templates
+ * @access  Private
+ */
+exports.getMealTemplates = asyncHandler(async (req, res, next) => {
+  const query = { user: req.user.id };
+
+  // Add mealType filter if provided
+  if (req.query.mealType) {
+    query.mealType = req.query.mealType;
+  }
+
+  const templates = await MealTemplate.find(query).sort({
+    useCount: -1,
+    name: 1,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates,
+  });
+});
+
+/**
+ * @desc    Save an existing meal as a template
+ * @route   POST /api/meals/:id/template
+ * @access  Private
+ */
+exports.createMealTemplate = asyncHandler(async (req, res, next) => {
+  const meal = await Meal.findById(req.params.id);
+
+  if (!meal) {
+    return next(
+      new ErrorResponse(`Meal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the meal
+  if (meal.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to access this meal`, 401)
+    );
+  }
+
+  const template = MealTemplate.fromMeal(meal, req.body.name);
+  await template.save();
+
+  res.status(201).json({
+    success: true,
+    data: template,
+  });
+});
+
+/**
+ * @desc    Rename a template or change its default meal type
+ * @route   PUT /api/meals/templates/:id
+ * @access  Private
+ */
+exports.updateMealTemplate = asyncHandler(async (req, res, next) => {
+  const template = await MealTemplate.findById(req.params.id);
+
+  if (!template) {
+    return next(
+      new ErrorResponse(`Template not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the template
+  if (template.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to update this template`, 401)
+    );
+  }
+
+  if (req.body.name !== undefined) template.name = req.body.name;
+  if (req.body.mealType !== undefined) template.mealType = req.body.mealType;
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    data: template,
+  });
+});
+
+/**
+ * @desc    Delete template
+ * @route   DELETE /api/meals/templates/:id
+ * @access  Private
+ */
+exports.deleteMealTemplate = asyncHandler(async (req, res, next) => {
+  const template = await MealTemplate.findById(req.params.id);
+
+  if (!template) {
+    return next(
+      new ErrorResponse(`Template not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the template
+  if (template.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to delete this template`, 401)
+    );
+  }
+
+  await template.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+/**
+ * @desc    Log a template as a meal (optional date and mealType)
+ * @route   POST /api/meals/from-template/:id
+ * @access  Private
+ */
+exports.logMealTemplate = asyncHandler(async (req, res, next) => {
+  const template = await MealTemplate.findById(req.params.id);
+
+  if (!template) {
+    return next(
+      new ErrorResponse(`Template not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the template
+  if (template.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to use this template`, 401)
+    );
+  }
+
+  const date = req.body.date ? new Date(req.body.date) : new Date();
+
+  if (isNaN(date.getTime())) {
+    return next(new ErrorResponse("Please provide a valid date", 400));
+  }
+
+  const meal = await Meal.create({
+    ...template.toMealFields(),
+    date,
+    mealType: req.body.mealType || template.mealType,
+  });
+
+  template.useCount += 1;
+  template.lastUsedAt = Date.now();
+  await template.save();
+
+  await recordFoodUsage(meal.items);
+
+  res.status(201).json({
+    success: true,
+    data: meal,
+  });
+});
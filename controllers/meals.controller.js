@@ -1,38 +1,144 @@
 // controllers/meals.controller.js - Meal tracking controller
 const Meal = require("../models/Meal");
+const Recipe = require("../models/Recipe");
+const Goal = require("../models/Goal");
+const AccessGrant = require("../models/AccessGrant");
 const ErrorResponse = require("../utils/errorResponse");
+const logger = require("../utils/logger");
 const asyncHandler = require("../middleware/async");
-const { analyzeTextForCalories } = require("../utils/nutritionAnalysis");
-const { processAndUploadImage } = require("../utils/imageProcessing");
+const {
+  analyzeTextForCalories,
+  resolveMealItems,
+} = require("../utils/nutritionAnalysis");
+const { recordFoodUsage } = require("../utils/foodCatalog");
+const { NUTRIENT_KEYS, pickNutrients } = require("../utils/nutrients");
+const {
+  getDayRange,
+  getDateRange,
+  eachDay,
+  isValidDate,
+} = require("../utils/dateRange");
+const {
+  prepareImage,
+  uploadImage,
+  processAndUploadImage,
+  analyzeFoodImage,
+  imageBelongsTo,
+  storedImage,
+  deleteImage,
+} = require("../utils/imageProcessing");
+
+// Most days a single copy request can fill
+const MAX_COPY_DAYS = 31;
 
 /**
- * @desc    Get all meals
+ * Delete a meal image that is no longer used
+ * Failures are only logged; the orphaned image sweep retries later.
+ * @param {Object} image - Meal image { publicId, thumbnailPublicId }
+ */
+const discardImage = async (image) => {
+  try {
+    await deleteImage(image);
+  } catch (err) {
+    logger.error("Could not delete meal image", {
+      publicId: image.publicId,
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Compute nutrition for items sent in the request body
+ * Fills in grams and macros from quantity + unit. Totals sent by the client
+ * are kept as manual totals (and checked against the items by the model);
+ * otherwise the model derives them from the items.
+ * @param {Object} body - Request body (modified in place)
+ * @param {string} userId - User whose custom foods are matched first
+ * @returns {Promise<Array>} - Names of items that couldn't be resolved
+ */
+const applyMealItems = async (body, userId) => {
+  const hasItems = Array.isArray(body.items) && body.items.length > 0;
+
+  // Leave the totals mode alone when neither totals nor items change
+  if (body.manualTotals === undefined) {
+    if (body.calories !== undefined || body.nutrition !== undefined) {
+      body.manualTotals = true;
+    } else if (hasItems) {
+      body.manualTotals = false;
+    }
+  }
+
+  if (!hasItems) {
+    return [];
+  }
+
+  body.items = await resolveMealItems(body.items, userId);
+
+  return body.items
+    .filter((item) => item.calories === undefined || item.calories === null)
+    .map((item) => item.name || item.food);
+};
+
+// Item fields that change which food or how much of it was eaten
+const ITEM_PORTION_FIELDS = ["food", "quantity", "unit"];
+
+// Item fields computed from the portion
+const ITEM_NUTRITION_FIELDS = ["grams", "calories", ...NUTRIENT_KEYS];
+
+// Summary field for a nutrient ("saturatedFat" -> "totalSaturatedFat")
+const totalField = (key) =>
+  `total${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+
+/**
+ * Compare a day's summary totals with the goal's daily limits
+ * @param {Object} day - Summary row with totalCalories, totalProtein, ...
+ * @param {Object} limits - Goal limits { calories?, sodium?, ... }
+ * @returns {Object} - { sodium: { limit, total, remaining, exceeded }, ... }
+ */
+const compareWithLimits = (day, limits) => {
+  const report = {};
+
+  ["calories", ...NUTRIENT_KEYS].forEach((key) => {
+    const limit = limits[key];
+    if (limit === undefined || limit === null) return;
+
+    const total = day[totalField(key)] || 0;
+    report[key] = {
+      limit,
+      total,
+      remaining: Math.round((limit - total) * 10) / 10,
+      exceeded: total > limit,
+    };
+  });
+
+  return report;
+};
+
+/**
+ * @desc    Get all meals (?userId= for a client who granted access)
  * @route   GET /api/meals
  * @access  Private
  */
 exports.getMeals = asyncHandler(async (req, res, next) => {
   // Parse date filters
-  let startDate, endDate;
+  let range;
 
   if (req.query.date) {
     // If specific date is provided
-    const date = new Date(req.query.date);
-    startDate = new Date(date.setHours(0, 0, 0, 0));
-    endDate = new Date(date.setHours(23, 59, 59, 999));
+    range = getDayRange(req.query.date);
   } else if (req.query.startDate && req.query.endDate) {
     // If date range is provided
-    startDate = new Date(new Date(req.query.startDate).setHours(0, 0, 0, 0));
-    endDate = new Date(new Date(req.query.endDate).setHours(23, 59, 59, 999));
+    range = getDateRange(req.query.startDate, req.query.endDate);
   } else {
     // Default to today
-    const today = new Date();
-    startDate = new Date(today.setHours(0, 0, 0, 0));
-    endDate = new Date(today.setHours(23, 59, 59, 999));
+    range = getDayRange(new Date());
   }
 
-  // Build query
+  const { startDate, endDate } = range;
+
+  // Build query (for the caller or a client who granted access)
   const query = {
-    user: req.user.id,
+    user: req.diaryOwnerId,
     date: { $gte: startDate, $lte: endDate },
   };
 
@@ -45,18 +151,16 @@ exports.getMeals = asyncHandler(async (req, res, next) => {
   const meals = await Meal.find(query).sort({ date: 1 });
 
   // Calculate totals
-  const totals = {
-    calories: 0,
-    protein: 0,
-    carbs: 0,
-    fat: 0,
-  };
+  const totals = { calories: 0 };
+  NUTRIENT_KEYS.forEach((key) => {
+    totals[key] = 0;
+  });
 
   meals.forEach((meal) => {
     totals.calories += meal.calories;
-    totals.protein += meal.nutrition.protein;
-    totals.carbs += meal.nutrition.carbs;
-    totals.fat += meal.nutrition.fat;
+    NUTRIENT_KEYS.forEach((key) => {
+      totals[key] += meal.nutrition[key] || 0;
+    });
   });
 
   res.status(200).json({
@@ -95,7 +199,10 @@ exports.getMeal = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Create new meal
+ * @desc    Create new meal (or log servings of a recipe with recipe + servings)
+ *          Image meals are created in two steps: uploading a photo returns the
+ *          recognized foods for review, then the confirmed items are posted
+ *          with the returned image.
  * @route   POST /api/meals
  * @access  Private
  */
@@ -103,20 +210,55 @@ exports.createMeal = asyncHandler(async (req, res, next) => {
   // Add user to request body
   req.body.user = req.user.id;
 
+  // Only text analysis records how the calories were estimated
+  delete req.body.estimation;
+
   // Process meal entry method
-  if (req.body.entryMethod === "text" && req.body.originalText) {
+  if (req.body.recipe) {
+    // Expand servings of a saved recipe into the meal's items
+    const recipe = await Recipe.findById(req.body.recipe);
+
+    if (!recipe) {
+      return next(
+        new ErrorResponse(`Recipe not found with id of ${req.body.recipe}`, 404)
+      );
+    }
+
+    if (recipe.user.toString() !== req.user.id) {
+      return next(
+        new ErrorResponse(`User not authorized to use this recipe`, 401)
+      );
+    }
+
+    const servings =
+      req.body.servings === undefined ? 1 : Number(req.body.servings);
+
+    if (!(servings > 0)) {
+      return next(new ErrorResponse("Servings must be a positive number", 400));
+    }
+
+    // Totals are derived from the scaled items when the meal is saved
+    req.body.items = recipe.toMealItems(servings);
+    req.body.servings = servings;
+    req.body.manualTotals = false;
+    req.body.description =
+      req.body.description ||
+      `${recipe.name} (${servings} serving${servings === 1 ? "" : "s"})`;
+    req.body.entryMethod = "recipe";
+  } else if (req.body.entryMethod === "text" && req.body.originalText) {
     // Use NLP service to analyze meal text
     try {
-      const nutritionData = await analyzeTextForCalories(req.body.originalText);
+      const nutritionData = await analyzeTextForCalories(
+        req.body.originalText,
+        req.user.id
+      );
 
       // Set nutrition data from analysis
       req.body.calories = nutritionData.calories;
-      req.body.nutrition = {
-        protein: nutritionData.protein,
-        carbs: nutritionData.carbs,
-        fat: nutritionData.fat,
-      };
+      req.body.nutrition = pickNutrients(nutritionData);
+      req.body.items = nutritionData.items || [];
       req.body.description = nutritionData.description || req.body.originalText;
+      req.body.estimation = nutritionData.estimation;
     } catch (err) {
       console.error("Error analyzing meal text:", err);
       // If analysis fails, ask user to enter details manually
@@ -127,33 +269,67 @@ exports.createMeal = asyncHandler(async (req, res, next) => {
         )
       );
     }
-  } else if (req.body.entryMethod === "image" && req.files && req.files.image) {
-    // Process and upload image
-    try {
-      const imageData = await processAndUploadImage(req.files.image);
+  } else {
+    if (req.body.entryMethod === "image") {
+      const imageFile = req.files && req.files.image;
+      const confirmed =
+        req.body.items !== undefined || req.body.calories !== undefined;
+
+      if (imageFile) {
+        let prepared;
+
+        try {
+          prepared = await prepareImage(imageFile);
+          req.body.image = await uploadImage(prepared, req.user.id);
+        } catch (err) {
+          logger.error("Could not process meal image", {
+            userId: req.user.id,
+            error: err.message,
+          });
+          return next(
+            new ErrorResponse(
+              "Could not process meal image. Please try again or enter details manually.",
+              400
+            )
+          );
+        }
+
+        // Recognize foods unless the user already confirmed them
+        const analysis = confirmed
+          ? null
+          : await analyzeFoodImage(prepared.image, req.user.id);
+
+        // Nothing confirmed yet, so let the user review the recognized foods
+        if (!confirmed) {
+          return res.status(200).json({
+            success: true,
+            review: true,
+            data: {
+              image: req.body.image,
+              recognized: analysis !== null,
+              candidates: [],
+              items: [],
+              ...analysis,
+            },
+          });
+        }
+      } else {
+        if (!imageBelongsTo(req.body.image, req.user.id)) {
+          return next(new ErrorResponse("Please upload a meal image", 400));
+        }
+
+        // Only the storage IDs are taken from the request
+        req.body.image = storedImage(req.body.image);
+      }
+    }
 
-      // Set image data
-      req.body.image = {
-        url: imageData.url,
-        publicId: imageData.publicId,
-      };
+    // Compute nutrition for manually entered (or confirmed) items
+    const unresolved = await applyMealItems(req.body, req.user.id);
 
-      // If we have image recognition for food
-      if (imageData.nutritionData) {
-        req.body.calories = imageData.nutritionData.calories;
-        req.body.nutrition = {
-          protein: imageData.nutritionData.protein,
-          carbs: imageData.nutritionData.carbs,
-          fat: imageData.nutritionData.fat,
-        };
-        req.body.description =
-          imageData.nutritionData.description || "Food from image";
-      }
-    } catch (err) {
-      console.error("Error processing meal image:", err);
+    if (unresolved.length > 0) {
       return next(
         new ErrorResponse(
-          "Could not process meal image. Please try again or enter details manually.",
+          `No nutrition data found for ${unresolved.join(", ")}`,
           400
         )
       );
@@ -163,6 +339,8 @@ exports.createMeal = asyncHandler(async (req, res, next) => {
   // Create meal
   const meal = await Meal.create(req.body);
 
+  await recordFoodUsage(meal.items);
+
   res.status(201).json({
     success: true,
     data: meal,
@@ -170,12 +348,12 @@ exports.createMeal = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Update meal
+ * @desc    Update meal (uploading an image replaces the meal's image)
  * @route   PUT /api/meals/:id
  * @access  Private
  */
 exports.updateMeal = asyncHandler(async (req, res, next) => {
-  let meal = await Meal.findById(req.params.id);
+  const meal = await Meal.findById(req.params.id);
 
   if (!meal) {
     return next(
@@ -190,11 +368,77 @@ exports.updateMeal = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Update meal
-  meal = await Meal.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true,
-  });
+  const previousImage =
+    meal.image && meal.image.publicId ? meal.toObject().image : null;
+
+  // Replace the image with an uploaded one, or one from an earlier upload
+  if (req.files && req.files.image) {
+    try {
+      req.body.image = await processAndUploadImage(
+        req.files.image,
+        req.user.id
+      );
+    } catch (err) {
+      logger.error("Could not process meal image", {
+        userId: req.user.id,
+        mealId: meal.id,
+        error: err.message,
+      });
+      return next(
+        new ErrorResponse(
+          "Could not process meal image. Please try again.",
+          400
+        )
+      );
+    }
+  } else if (req.body.image) {
+    const keepsImage =
+      previousImage &&
+      req.body.image.publicId === previousImage.publicId &&
+      req.body.image.thumbnailPublicId === previousImage.thumbnailPublicId;
+
+    if (keepsImage) {
+      req.body.image = previousImage;
+    } else if (imageBelongsTo(req.body.image, req.user.id)) {
+      req.body.image = storedImage(req.body.image);
+    } else {
+      return next(new ErrorResponse("Please upload a meal image", 400));
+    }
+  }
+
+  // Compute nutrition for updated items
+  const unresolved = await applyMealItems(req.body, req.user.id);
+
+  if (unresolved.length > 0) {
+    return next(
+      new ErrorResponse(
+        `No nutrition data found for ${unresolved.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  // Totals edited by hand are no longer the text analysis estimate
+  delete req.body.estimation;
+  if (
+    ["calories", "nutrition", "items"].some(
+      (field) => req.body[field] !== undefined
+    )
+  ) {
+    meal.estimation = undefined;
+  }
+
+  // Update meal (saving recalculates totals from the items)
+  meal.set(req.body);
+  await meal.save();
+
+  // Delete the image this update replaced or removed
+  if (
+    previousImage &&
+    (!meal.image || meal.image.publicId !== previousImage.publicId)
+  ) {
+    await discardImage(previousImage);
+  }
 
   res.status(200).json({
     success: true,
@@ -223,13 +467,13 @@ exports.deleteMeal = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // If meal has an image, delete it from storage
+  await meal.deleteOne();
+
+  // Delete the meal's image from storage
   if (meal.image && meal.image.publicId) {
-    // Delete image logic would go here in production
+    await discardImage(meal.image);
   }
 
-  await meal.remove();
-
   res.status(200).json({
     success: true,
     data: {},
@@ -237,7 +481,174 @@ exports.deleteMeal = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Get meal summary by day
+ * @desc    Add an item to a meal
+ * @route   POST /api/meals/:id/items
+ * @access  Private
+ */
+exports.addMealItem = asyncHandler(async (req, res, next) => {
+  const meal = await Meal.findById(req.params.id);
+
+  if (!meal) {
+    return next(
+      new ErrorResponse(`Meal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the meal
+  if (meal.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to update this meal`, 401)
+    );
+  }
+
+  const [item] = await resolveMealItems([req.body], req.user.id);
+
+  if (item.calories === undefined || item.calories === null) {
+    return next(
+      new ErrorResponse(
+        `No nutrition data found for ${item.name || item.food}`,
+        400
+      )
+    );
+  }
+
+  meal.items.push(item);
+  meal.estimation = undefined;
+  await meal.save();
+
+  await recordFoodUsage([item]);
+
+  res.status(201).json({
+    success: true,
+    data: meal,
+  });
+});
+
+/**
+ * @desc    Update an item in a meal
+ *          Changing the food or portion without calories recalculates them
+ * @route   PUT /api/meals/:id/items/:itemId
+ * @access  Private
+ */
+exports.updateMealItem = asyncHandler(async (req, res, next) => {
+  const meal = await Meal.findById(req.params.id);
+
+  if (!meal) {
+    return next(
+      new ErrorResponse(`Meal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the meal
+  if (meal.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to update this meal`, 401)
+    );
+  }
+
+  const existing = meal.items.id(req.params.itemId);
+
+  if (!existing) {
+    return next(
+      new ErrorResponse(`Item not found with id of ${req.params.itemId}`, 404)
+    );
+  }
+
+  const { _id, ...fields } = existing.toObject();
+  const changes = {};
+
+  ["name", ...ITEM_PORTION_FIELDS, ...ITEM_NUTRITION_FIELDS].forEach(
+    (field) => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+  );
+
+  // A new food or portion needs fresh nutrition unless it was sent
+  const portionChanged = ITEM_PORTION_FIELDS.some(
+    (field) => changes[field] !== undefined
+  );
+
+  if (portionChanged && changes.calories === undefined) {
+    ITEM_NUTRITION_FIELDS.forEach((field) => delete fields[field]);
+  }
+
+  const [item] = await resolveMealItems(
+    [{ ...fields, ...changes }],
+    req.user.id
+  );
+
+  if (item.calories === undefined || item.calories === null) {
+    return next(
+      new ErrorResponse(
+        `No nutrition data found for ${item.name || item.food}`,
+        400
+      )
+    );
+  }
+
+  // An edited item is the user's own entry, not an analysis estimate
+  existing.set({ ...item, confidence: undefined });
+  meal.estimation = undefined;
+  await meal.save();
+
+  res.status(200).json({
+    success: true,
+    data: meal,
+  });
+});
+
+/**
+ * @desc    Remove an item from a meal
+ * @route   DELETE /api/meals/:id/items/:itemId
+ * @access  Private
+ */
+exports.deleteMealItem = asyncHandler(async (req, res, next) => {
+  const meal = await Meal.findById(req.params.id);
+
+  if (!meal) {
+    return next(
+      new ErrorResponse(`Meal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the meal
+  if (meal.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to update this meal`, 401)
+    );
+  }
+
+  const item = meal.items.id(req.params.itemId);
+
+  if (!item) {
+    return next(
+      new ErrorResponse(`Item not found with id of ${req.params.itemId}`, 404)
+    );
+  }
+
+  if (meal.items.length === 1) {
+    return next(
+      new ErrorResponse(
+        "Can not remove the only item of a meal; delete the meal instead",
+        400
+      )
+    );
+  }
+
+  item.deleteOne();
+  meal.estimation = undefined;
+  await meal.save();
+
+  res.status(200).json({
+    success: true,
+    data: meal,
+  });
+});
+
+/**
+ * @desc    Get meal summary by day (?userId= for a client who granted access)
  * @route   GET /api/meals/summary
  * @access  Private
  */
@@ -246,23 +657,23 @@ exports.getMealSummary = asyncHandler(async (req, res, next) => {
   let startDate, endDate;
 
   if (req.query.startDate && req.query.endDate) {
-    startDate = new Date(new Date(req.query.startDate).setHours(0, 0, 0, 0));
-    endDate = new Date(new Date(req.query.endDate).setHours(23, 59, 59, 999));
+    ({ startDate, endDate } = getDateRange(
+      req.query.startDate,
+      req.query.endDate
+    ));
   } else {
     // Default to last 7 days
-    endDate = new Date();
-    endDate.setHours(23, 59, 59, 999);
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 6);
 
-    startDate = new Date();
-    startDate.setDate(startDate.getDate() - 6);
-    startDate.setHours(0, 0, 0, 0);
+    ({ startDate, endDate } = getDateRange(weekAgo, new Date()));
   }
 
   // Get aggregated meal data by day
   const summary = await Meal.aggregate([
     {
       $match: {
-        user: req.user._id,
+        user: req.diaryOwnerId,
         date: { $gte: startDate, $lte: endDate },
       },
     },
@@ -276,9 +687,12 @@ exports.getMealSummary = asyncHandler(async (req, res, next) => {
         },
         date: { $first: "$date" },
         totalCalories: { $sum: "$calories" },
-        totalProtein: { $sum: "$nutrition.protein" },
-        totalCarbs: { $sum: "$nutrition.carbs" },
-        totalFat: { $sum: "$nutrition.fat" },
+        ...Object.fromEntries(
+          NUTRIENT_KEYS.map((key) => [
+            totalField(key),
+            { $sum: `$nutrition.${key}` },
+          ])
+        ),
         mealCount: { $sum: 1 },
       },
     },
@@ -287,15 +701,25 @@ exports.getMealSummary = asyncHandler(async (req, res, next) => {
         _id: 0,
         date: 1,
         totalCalories: 1,
-        totalProtein: 1,
-        totalCarbs: 1,
-        totalFat: 1,
+        ...Object.fromEntries(NUTRIENT_KEYS.map((key) => [totalField(key), 1])),
         mealCount: 1,
       },
     },
     { $sort: { date: 1 } },
   ]);
 
+  // Report each day against the goal's daily limits, if any are set
+  const goal = await Goal.findOne({ user: req.diaryOwnerId }).sort({
+    createdAt: -1,
+  });
+  const limits = (goal && goal.toObject().limits) || {};
+
+  if (Object.values(limits).some((limit) => limit !== undefined)) {
+    summary.forEach((day) => {
+      day.limits = compareWithLimits(day, limits);
+    });
+  }
+
   res.status(200).json({
     success: true,
     count: summary.length,
@@ -304,7 +728,179 @@ exports.getMealSummary = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Analyze meal text
+ * @desc    Copy a day's meals (or one mealType) to another day or range
+ *          Body: sourceDate, targetDate or targetStartDate + targetEndDate,
+ *          optional mealType to copy and targetMealType to copy into
+ * @route   POST /api/meals/copy
+ * @access  Private
+ */
+exports.copyMeals = asyncHandler(async (req, res, next) => {
+  const {
+    sourceDate,
+    targetDate,
+    targetStartDate,
+    targetEndDate,
+    mealType,
+    targetMealType,
+  } = req.body;
+
+  if (!isValidDate(sourceDate)) {
+    return next(new ErrorResponse("Please provide a valid sourceDate", 400));
+  }
+
+  const mealTypes = Meal.schema.path("mealType").enumValues;
+
+  if (
+    (mealType !== undefined && !mealTypes.includes(mealType)) ||
+    (targetMealType !== undefined && !mealTypes.includes(targetMealType))
+  ) {
+    return next(
+      new ErrorResponse(
+        `Meal types must be one of ${mealTypes.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  let targetDays;
+  if (targetDate !== undefined) {
+    if (!isValidDate(targetDate)) {
+      return next(new ErrorResponse("Please provide a valid targetDate", 400));
+    }
+    targetDays = eachDay(targetDate, targetDate);
+  } else if (isValidDate(targetStartDate) && isValidDate(targetEndDate)) {
+    const span = getDateRange(targetStartDate, targetEndDate);
+    if (span.endDate - span.startDate > MAX_COPY_DAYS * 24 * 60 * 60 * 1000) {
+      return next(
+        new ErrorResponse(
+          `Meals can be copied to at most ${MAX_COPY_DAYS} days at once`,
+          400
+        )
+      );
+    }
+    targetDays = eachDay(targetStartDate, targetEndDate);
+  } else {
+    return next(
+      new ErrorResponse(
+        "Please provide a targetDate or targetStartDate and targetEndDate",
+        400
+      )
+    );
+  }
+
+  // Never copy meals onto themselves; the source day is only a valid target
+  // when one meal slot is copied into another
+  const source = getDayRange(sourceDate);
+  const changesSlot =
+    mealType !== undefined &&
+    targetMealType !== undefined &&
+    targetMealType !== mealType;
+
+  if (!changesSlot) {
+    targetDays = targetDays.filter(
+      (day) => day.getTime() !== source.startDate.getTime()
+    );
+  }
+
+  if (targetDays.length === 0) {
+    return next(
+      new ErrorResponse(
+        "Target days must differ from the source day unless copying into another mealType",
+        400
+      )
+    );
+  }
+
+  const query = {
+    user: req.user.id,
+    date: { $gte: source.startDate, $lte: source.endDate },
+  };
+
+  if (mealType !== undefined) {
+    query.mealType = mealType;
+  }
+
+  const sourceMeals = await Meal.find(query).sort({ date: 1 });
+
+  if (sourceMeals.length === 0) {
+    return next(new ErrorResponse("No meals found to copy", 404));
+  }
+
+  // Same time of day on each target day; images and comments stay behind
+  const copies = targetDays.flatMap((day) =>
+    sourceMeals.map((meal) => {
+      const { _id, __v, comments, image, createdAt, date, ...fields } =
+        meal.toObject();
+
+      const copyDate = new Date(day);
+      copyDate.setHours(
+        date.getHours(),
+        date.getMinutes(),
+        date.getSeconds(),
+        date.getMilliseconds()
+      );
+
+      return {
+        ...fields,
+        items: fields.items.map(({ _id: itemId, ...item }) => item),
+        date: copyDate,
+        mealType: targetMealType || fields.mealType,
+      };
+    })
+  );
+
+  const meals = await Meal.insertMany(copies);
+
+  await recordFoodUsage(meals.flatMap((meal) => meal.items));
+
+  res.status(201).json({
+    success: true,
+    count: meals.length,
+    data: meals,
+  });
+});
+
+/**
+ * @desc    Get the user's most recent distinct meals (?limit= up to 50)
+ * @route   GET /api/meals/recent
+ * @access  Private
+ */
+exports.getRecentMeals = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+  // Meals with the same description and calories count as the same meal
+  const recent = await Meal.aggregate([
+    { $match: { user: req.user._id } },
+    { $sort: { date: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: {
+          description: { $toLower: "$description" },
+          calories: "$calories",
+        },
+        meal: { $first: "$$ROOT" },
+        timesLogged: { $sum: 1 },
+      },
+    },
+    { $sort: { "meal.date": -1, "meal.createdAt": -1 } },
+    { $limit: limit },
+  ]);
+
+  const meals = recent.map(({ meal, timesLogged }) => ({
+    ...meal,
+    timesLogged,
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: meals.length,
+    data: meals,
+  });
+});
+
+/**
+ * @desc    Analyze meal text (with the method used, confidence and
+ *          unrecognized words)
  * @route   POST /api/meals/analyze-text
  * @access  Private
  */
@@ -316,7 +912,7 @@ exports.analyzeMealText = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    const nutritionData = await analyzeTextForCalories(text);
+    const nutritionData = await analyzeTextForCalories(text, req.user.id);
 
     res.status(200).json({
       success: true,
@@ -332,3 +928,45 @@ exports.analyzeMealText = asyncHandler(async (req, res, next) => {
     );
   }
 });
+
+/**
+ * @desc    Comment on a meal (owner, or a grantee with comment permission)
+ * @route   POST /api/meals/:id/comments
+ * @access  Private
+ */
+exports.addMealComment = asyncHandler(async (req, res, next) => {
+  if (!req.body.text) {
+    return next(new ErrorResponse("Please provide comment text", 400));
+  }
+
+  const meal = await Meal.findById(req.params.id);
+
+  if (!meal) {
+    return next(
+      new ErrorResponse(`Meal not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Owners can always comment; others need a comment grant for meals
+  if (meal.user.toString() !== req.user.id) {
+    const grant = await AccessGrant.findActive(
+      meal.user,
+      req.user._id,
+      "meals"
+    );
+
+    if (!grant || grant.permission !== "comment") {
+      return next(
+        new ErrorResponse(`User not authorized to comment on this meal`, 401)
+      );
+    }
+  }
+
+  meal.comments.push({ author: req.user.id, text: req.body.text });
+  await meal.save();
+
+  res.status(201).json({
+    success: true,
+    data: meal.comments[meal.comments.length - 1],
+  });
+});
@@ -0,0 +1,175 @@
+// controllers/recipes.controller.js - Recipe management controller
+const Recipe = require("../models/Recipe");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const { resolveMealItems } = require("../utils/nutritionAnalysis");
+
+// Fields a user can set on a recipe
+const RECIPE_FIELDS = ["name", "description", "servings", "ingredients"];
+
+/**
+ * Pick recipe fields from the request body, computing ingredient nutrition
+ * @param {Object} body - Request body
+ * @param {string} userId - User whose custom foods are matched first
+ * @returns {Promise<Object>} - { fields, unresolved }
+ */
+const buildRecipeFields = async (body, userId) => {
+  const fields = {};
+
+  RECIPE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (!Array.isArray(fields.ingredients)) {
+    return { fields, unresolved: [] };
+  }
+
+  fields.ingredients = await resolveMealItems(fields.ingredients, userId);
+
+  const unresolved = fields.ingredients
+    .filter(
+      (ingredient) =>
+        ingredient.calories === undefined || ingredient.calories === null
+    )
+    .map((ingredient) => ingredient.name || ingredient.food);
+
+  return { fields, unresolved };
+};
+
+/**
+ * @desc    Get all recipes for the current user
+ * @route   GET /api/recipes
+ * @access  Private
+ */
+exports.getRecipes = asyncHandler(async (req, res, next) => {
+  const recipes = await Recipe.find({ user: req.user.id }).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: recipes.length,
+    data: recipes,
+  });
+});
+
+/**
+ * @desc    Get single recipe
+ * @route   GET /api/recipes/:id
+ * @access  Private
+ */
+exports.getRecipe = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the recipe
+  if (recipe.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to access this recipe`, 401)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: recipe,
+  });
+});
+
+/**
+ * @desc    Create new recipe
+ * @route   POST /api/recipes
+ * @access  Private
+ */
+exports.createRecipe = asyncHandler(async (req, res, next) => {
+  const { fields, unresolved } = await buildRecipeFields(req.body, req.user.id);
+
+  if (unresolved.length > 0) {
+    return next(
+      new ErrorResponse(
+        `No nutrition data found for ${unresolved.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  const recipe = await Recipe.create({ ...fields, user: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: recipe,
+  });
+});
+
+/**
+ * @desc    Update recipe
+ * @route   PUT /api/recipes/:id
+ * @access  Private
+ */
+exports.updateRecipe = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the recipe
+  if (recipe.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to update this recipe`, 401)
+    );
+  }
+
+  const { fields, unresolved } = await buildRecipeFields(req.body, req.user.id);
+
+  if (unresolved.length > 0) {
+    return next(
+      new ErrorResponse(
+        `No nutrition data found for ${unresolved.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  // Saving recalculates the recipe's nutrition
+  recipe.set(fields);
+  await recipe.save();
+
+  res.status(200).json({
+    success: true,
+    data: recipe,
+  });
+});
+
+/**
+ * @desc    Delete recipe
+ * @route   DELETE /api/recipes/:id
+ * @access  Private
+ */
+exports.deleteRecipe = asyncHandler(async (req, res, next) => {
+  const recipe = await Recipe.findById(req.params.id);
+
+  if (!recipe) {
+    return next(
+      new ErrorResponse(`Recipe not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Make sure user owns the recipe
+  if (recipe.user.toString() !== req.user.id) {
+    return next(
+      new ErrorResponse(`User not authorized to delete this recipe`, 401)
+    );
+  }
+
+  await recipe.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
@@ -0,0 +1,157 @@
+// controllers/twoFactor.controller.js - Two-factor authentication enrollment controller
+const User = require("../models/User");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const logger = require("../utils/logger");
+const { recordAuditEvent } = require("../utils/audit");
+const { generateSecret, buildOtpauthUri } = require("../utils/totp");
+
+/**
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is already enabled", 400)
+    );
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email),
+    },
+  });
+});
+
+/**
+ * @desc    Confirm enrollment with a first code and enable two-factor
+ * @route   POST /api/auth/2fa/confirm
+ * @access  Private
+ */
+exports.confirmTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactor.pendingSecret +twoFactor.lastUsedStep"
+  );
+
+  if (user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is already enabled", 400)
+    );
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return next(
+      new ErrorResponse("Please start two-factor setup before confirming", 400)
+    );
+  }
+
+  // Check the code against the pending secret
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+
+  if (!req.body.code || !user.verifyTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse("Invalid verification code", 400));
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = Date.now();
+  user.twoFactor.pendingSecret = undefined;
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  logger.info("Two-factor authentication enabled", { userId: user.id });
+  await recordAuditEvent(req, { action: "auth.2fa.enable" });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      recoveryCodes,
+      message:
+        "Two-factor authentication enabled. Store these recovery codes somewhere safe; each can be used once.",
+    },
+  });
+});
+
+/**
+ * @desc    Disable two-factor (requires password and a code or recovery code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes"
+  );
+
+  if (!user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is not enabled", 400)
+    );
+  }
+
+  if (!password || !(await user.matchPassword(password))) {
+    return next(new ErrorResponse("Password is incorrect", 401));
+  }
+
+  const verified = recoveryCode
+    ? user.useRecoveryCode(recoveryCode)
+    : Boolean(code) && user.verifyTwoFactorCode(code);
+
+  if (!verified) {
+    return next(new ErrorResponse("Invalid verification code", 401));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  logger.info("Two-factor authentication disabled", { userId: user.id });
+  await recordAuditEvent(req, { action: "auth.2fa.disable" });
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+/**
+ * @desc    Replace recovery codes (requires a current code)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactor.secret +twoFactor.lastUsedStep"
+  );
+
+  if (!user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is not enabled", 400)
+    );
+  }
+
+  if (!req.body.code || !user.verifyTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse("Invalid verification code", 401));
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, { action: "auth.2fa.recovery-codes" });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      recoveryCodes,
+    },
+  });
+});
@@ -0,0 +1,51 @@
+// controllers/uploads.controller.js - Serves privately stored uploads
+const mongoose = require("mongoose");
+const path = require("path");
+const AccessGrant = require("../models/AccessGrant");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("../middleware/async");
+const { getStorage } = require("../utils/imageProcessing");
+
+/**
+ * @desc    Get a meal image (owner or users with access to their meals)
+ * @route   GET /api/uploads/meals/:userId/:file
+ * @access  Private
+ */
+exports.getMealImage = asyncHandler(async (req, res, next) => {
+  const { userId, file } = req.params;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    return next(new ErrorResponse(`Image not found with id of ${file}`, 404));
+  }
+
+  if (userId !== req.user.id) {
+    const grant = await AccessGrant.findActive(userId, req.user._id, "meals");
+
+    if (!grant) {
+      return next(
+        new ErrorResponse("Not authorized to access this user's meals", 403)
+      );
+    }
+  }
+
+  const storage = getStorage();
+  const image = storage.open
+    ? await storage.open(`meals/${userId}/${path.basename(file)}`)
+    : null;
+
+  if (!image) {
+    return next(new ErrorResponse(`Image not found with id of ${file}`, 404));
+  }
+
+  res.type(image.contentType || path.extname(file));
+  res.set("Cache-Control", "private, max-age=86400");
+
+  image.stream.on("error", (err) => {
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      next(err);
+    }
+  });
+  image.stream.pipe(res);
+});
@@ -1,7 +1,14 @@
 // controllers/users.controller.js - User profile controller
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
+const logger = require("../utils/logger");
+const { sendEmail, buildAppUrl } = require("../utils/mailer");
+const { buildUserExport, writeExportArchive } = require("../utils/dataExport");
+const { purgeUser } = require("../utils/accountDeletion");
+const { recordAuditEvent } = require("../utils/audit");
 
 /**
  * @desc    Update user profile
@@ -50,6 +57,11 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
     runValidators: true,
   });
 
+  await recordAuditEvent(req, {
+    action: "account.profile.update",
+    metadata: { fields: Object.keys(updateFields) },
+  });
+
   res.status(200).json({
     success: true,
     data: user,
@@ -87,3 +99,147 @@ exports.getProfile = asyncHandler(async (req, res, next) => {
     data: user,
   });
 });
+
+/**
+ * @desc    Export all personal data (zip of JSON and CSV, or ?format=json)
+ * @route   GET /api/users/export
+ * @access  Private
+ */
+exports.exportUserData = asyncHandler(async (req, res, next) => {
+  const data = await buildUserExport(req.user.id);
+
+  await recordAuditEvent(req, {
+    action: "account.export",
+    metadata: { format: req.query.format === "json" ? "json" : "zip" },
+  });
+
+  const filename = `niblet-export-${new Date().toISOString().slice(0, 10)}`;
+
+  if (req.query.format === "json") {
+    res.attachment(`${filename}.json`);
+    return res.status(200).json(data);
+  }
+
+  res.attachment(`${filename}.zip`);
+  res.status(200);
+  await writeExportArchive(data, res);
+});
+
+/**
+ * @desc    Delete account (after a grace period) - requires password
+ * @route   DELETE /api/users/me
+ * @access  Private
+ */
+exports.deleteAccount = asyncHandler(async (req, res, next) => {
+  if (!req.body.password) {
+    return next(
+      new ErrorResponse(
+        "Please confirm your password to delete your account",
+        400
+      )
+    );
+  }
+
+  const user = await User.findById(req.user.id).select("+password");
+
+  if (!(await user.matchPassword(req.body.password))) {
+    await recordAuditEvent(req, {
+      action: "account.delete",
+      outcome: "failure",
+      metadata: { reason: "incorrect-password" },
+    });
+    return next(new ErrorResponse("Password is incorrect", 401));
+  }
+
+  // Sign out everywhere and stop all integrations
+  await Session.revokeAllForUser(user._id);
+  await ApiToken.updateMany(
+    { user: user._id, revokedAt: { $exists: false } },
+    { revokedAt: Date.now() }
+  );
+
+  const expires = new Date(Date.now() + 10 * 1000);
+  res.cookie("token", "none", { expires, httpOnly: true });
+  res.cookie("refreshToken", "none", {
+    expires,
+    httpOnly: true,
+    path: "/api/auth",
+  });
+
+  const graceDays = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? 14);
+
+  // Without a grace period the account is removed straight away
+  if (graceDays <= 0) {
+    await purgeUser(user._id);
+
+    return res.status(200).json({
+      success: true,
+      data: { deleted: true },
+    });
+  }
+
+  user.deletionScheduledFor = Date.now() + graceDays * 24 * 60 * 60 * 1000;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: "account.delete",
+    metadata: { deletionScheduledFor: user.deletionScheduledFor },
+  });
+
+  logger.info("Account deletion scheduled", {
+    userId: user.id,
+    deletionScheduledFor: user.deletionScheduledFor,
+  });
+
+  try {
+    await sendEmail({
+      to: user.email,
+      template: "accountDeletionScheduled",
+      data: {
+        name: user.name,
+        deletionDate: user.deletionScheduledFor.toDateString(),
+        appUrl: buildAppUrl(),
+      },
+    });
+  } catch (err) {
+    logger.error("Could not send account deletion email", {
+      userId: user.id,
+      error: err.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      deleted: false,
+      deletionScheduledFor: user.deletionScheduledFor,
+    },
+  });
+});
+
+/**
+ * @desc    Cancel a scheduled account deletion
+ * @route   POST /api/users/me/cancel-deletion
+ * @access  Private
+ */
+exports.cancelAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.deletionScheduledFor) {
+    return next(
+      new ErrorResponse("Account is not scheduled for deletion", 400)
+    );
+  }
+
+  user.deletionScheduledFor = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, { action: "account.delete-cancel" });
+
+  logger.info("Account deletion cancelled", { userId: user.id });
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+});
@@ -5,7 +5,7 @@ const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
 
 /**
- * @desc    Get all weight entries
+ * @desc    Get all weight entries (?userId= for a client who granted access)
  * @route   GET /api/weight
  * @access  Private
  */
@@ -28,15 +28,15 @@ exports.getWeightEntries = asyncHandler(async (req, res, next) => {
 
   // Get weight entries
   const weightEntries = await Weight.find({
-    user: req.user.id,
+    user: req.diaryOwnerId,
     date: { $gte: startDate, $lte: endDate },
   }).sort({ date: 1 });
 
   // Get statistics
-  const stats = await Weight.getStats(req.user.id);
+  const stats = await Weight.getStats(req.diaryOwnerId);
 
   // Get user's current goal if available
-  const goal = await Goal.findOne({ user: req.user.id }).sort({
+  const goal = await Goal.findOne({ user: req.diaryOwnerId }).sort({
     createdAt: -1,
   });
 
@@ -210,16 +210,16 @@ exports.deleteWeightEntry = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Get weight progress summary
+ * @desc    Get weight progress summary (?userId= for a client who granted access)
  * @route   GET /api/weight/progress
  * @access  Private
  */
 exports.getWeightProgress = asyncHandler(async (req, res, next) => {
   // Get user's stats
-  const stats = await Weight.getStats(req.user.id);
+  const stats = await Weight.getStats(req.diaryOwnerId);
 
   // Get current goal
-  const goal = await Goal.findOne({ user: req.user.id }).sort({
+  const goal = await Goal.findOne({ user: req.diaryOwnerId }).sort({
     createdAt: -1,
   });
 
@@ -0,0 +1,39 @@
+// middleware/access.middleware.js - Resolve whose diary a request reads
+const mongoose = require("mongoose");
+const AccessGrant = require("../models/AccessGrant");
+const ErrorResponse = require("../utils/errorResponse");
+const asyncHandler = require("./async");
+
+/**
+ * Resolve the diary owner for a request
+ * Without a userId query parameter (or with the caller's own ID) the caller's
+ * diary is used. Otherwise the caller needs an active grant from that user
+ * covering the area. Sets req.diaryOwnerId and, for granted access, req.accessGrant.
+ * To be used after the protect middleware
+ * @param {string} area - Diary area ("meals", "weight" or "goals")
+ */
+exports.resolveDiaryOwner = (area) =>
+  asyncHandler(async (req, res, next) => {
+    const { userId } = req.query;
+
+    if (!userId || userId === req.user.id) {
+      req.diaryOwnerId = req.user._id;
+      return next();
+    }
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return next(new ErrorResponse("Invalid userId", 400));
+    }
+
+    const grant = await AccessGrant.findActive(userId, req.user._id, area);
+
+    if (!grant) {
+      return next(
+        new ErrorResponse(`Not authorized to access this user's ${area}`, 403)
+      );
+    }
+
+    req.diaryOwnerId = grant.owner;
+    req.accessGrant = grant;
+    next();
+  });
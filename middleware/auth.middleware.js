@@ -1,9 +1,55 @@
 // middleware/auth.middleware.js - Authentication middleware
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
 
 /**
- * Protect routes - verify JWT token
+ * Authenticate a request made with a personal access token
+ */
+const authenticateApiToken = async (token, req, res, next) => {
+  const apiToken = await ApiToken.findByToken(token);
+
+  if (!apiToken || !apiToken.isActive()) {
+    return res.status(401).json({
+      success: false,
+      error: "API token is invalid, expired or revoked",
+    });
+  }
+
+  req.user = await User.findById(apiToken.user);
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: "User not found with this ID",
+    });
+  }
+
+  if (req.user.disabledAt) {
+    return res.status(403).json({
+      success: false,
+      error: "This account has been disabled",
+    });
+  }
+
+  // Tokens stop working until a required password reset is done
+  if (req.user.passwordResetRequired) {
+    return res.status(403).json({
+      success: false,
+      error: "A password reset is required before this account can be used",
+    });
+  }
+
+  req.apiToken = apiToken;
+  await apiToken.touch();
+
+  next();
+};
+
+/**
+ * Protect routes - verify JWT access token and its session,
+ * or a personal access token sent as a Bearer token
  */
 exports.protect = async (req, res, next) => {
   let token;
@@ -30,12 +76,33 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
+    // Personal access tokens are opaque and looked up in the database
+    if (ApiToken.isApiToken(token)) {
+      return await authenticateApiToken(token, req, res, next);
+    }
+
     // Verify token
     const decoded = jwt.verify(
       token,
       process.env.JWT_SECRET || "your_jwt_secret_key_dev_only"
     );
 
+    // Make sure the session the token belongs to is still active
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (
+      !session ||
+      !session.isActive() ||
+      session.user.toString() !== decoded.id
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: "Session has expired or been revoked",
+      });
+    }
+
+    req.authSession = session;
+
     // Find user by ID from token
     req.user = await User.findById(decoded.id);
 
@@ -47,6 +114,21 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (req.user.disabledAt) {
+      return res.status(403).json({
+        success: false,
+        error: "This account has been disabled",
+      });
+    }
+
+    // Reject tokens issued before the password was changed or reset
+    if (decoded.tv !== req.user.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        error: "Session expired, please log in again",
+      });
+    }
+
     next();
   } catch (err) {
     return res.status(401).json({
@@ -56,6 +138,22 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Grant access to specific roles
+ * To be used after the protect middleware
+ */
+exports.authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `User role ${req.user.role} is not authorized to access this route`,
+      });
+    }
+    next();
+  };
+
 /**
  * Check if onboarding is complete
  * To be used after the protect middleware
@@ -69,3 +167,48 @@ exports.checkOnboarding = (req, res, next) => {
   }
   next();
 };
+
+/**
+ * Require scopes when the request is made with a personal access token
+ * (session-authenticated requests have full access)
+ * To be used after the protect middleware
+ */
+exports.requireScope =
+  (...scopes) =>
+  (req, res, next) => {
+    const missing = req.apiToken
+      ? scopes.filter((scope) => !req.apiToken.scopes.includes(scope))
+      : [];
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `API token is missing the required scope: ${missing.join(", ")}`,
+      });
+    }
+    next();
+  };
+
+/**
+ * Require the read or write scope for a resource based on the HTTP method
+ * (GET and HEAD need "<resource>:read", everything else "<resource>:write")
+ * To be used after the protect middleware
+ */
+exports.requireResourceScope = (resource) => (req, res, next) => {
+  const access = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+  return exports.requireScope(`${resource}:${access}`)(req, res, next);
+};
+
+/**
+ * Reject personal access tokens on account management routes
+ * To be used after the protect middleware
+ */
+exports.requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
+      success: false,
+      error: "This route can not be accessed with an API token",
+    });
+  }
+  next();
+};
@@ -0,0 +1,48 @@
+// middleware/rateLimit.middleware.js - Rate limiters for sensitive auth routes
+const rateLimit = require("express-rate-limit");
+const logger = require("../utils/logger");
+
+/**
+ * Build a rate limiter that answers in the API's JSON error format
+ * @param {Object} options - Limiter options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.limit - Requests allowed per IP per window
+ * @param {string} options.message - Error message once the limit is hit
+ * @returns {Function} - Express middleware
+ */
+const createLimiter = ({ windowMs, limit, message }) =>
+  rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+      logger.warn(`Rate limit exceeded: ${req.method} ${req.originalUrl}`, {
+        ip: req.ip,
+        limit: options.limit,
+      });
+
+      res.status(options.statusCode).json({
+        success: false,
+        error: message,
+      });
+    },
+  });
+
+exports.loginLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: 20,
+  message: "Too many login attempts, please try again later",
+});
+
+exports.registerLimiter = createLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  limit: 10,
+  message: "Too many accounts created from this IP, please try again later",
+});
+
+exports.forgotPasswordLimiter = createLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  limit: 5,
+  message: "Too many password reset requests, please try again later",
+});
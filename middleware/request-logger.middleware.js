@@ -28,8 +28,9 @@ const requestLogger = (req, res, next) => {
       `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
   };
 
-  // Add request ID header for tracing
+  // Add request ID header for tracing and expose it to later handlers
   res.setHeader("X-Request-ID", reqInfo.requestId);
+  req.requestId = reqInfo.requestId;
 
   // Check if it's an API endpoint
   if (originalUrl.startsWith("/api") && originalUrl !== "/api/health") {
@@ -131,6 +132,9 @@ function sanitizeBody(body) {
     "token",
     "refreshToken",
     "accessToken",
+    "challengeToken",
+    "code",
+    "recoveryCode",
     "credit_card",
     "creditCard",
     "cardNumber",
@@ -0,0 +1,133 @@
+// middleware/upload.middleware.js - Multipart image uploads with size and type limits
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const fileUpload = require("express-fileupload");
+const ErrorResponse = require("../utils/errorResponse");
+
+// Largest image accepted, in megabytes
+const MAX_FILE_MB = parseFloat(process.env.UPLOAD_MAX_FILE_MB) || 10;
+
+// Accepted image types and the bytes their files start with
+const IMAGE_SIGNATURES = {
+  "image/jpeg": (bytes) =>
+    bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  "image/png": (bytes) =>
+    bytes.slice(0, 8).equals(Buffer.from([137, 80, 78, 71, 13, 10, 26, 10])),
+  "image/webp": (bytes) =>
+    bytes.toString("ascii", 0, 4) === "RIFF" &&
+    bytes.toString("ascii", 8, 12) === "WEBP",
+};
+
+// HEIC/HEIF photos (the iPhone default) can't be decoded by the prebuilt
+// image library, so they are refused with a message asking for JPEG
+const isHeic = (bytes) =>
+  bytes.toString("ascii", 4, 8) === "ftyp" &&
+  /^(heic|heix|hevc|hevx|heim|heis|mif1|msf1)$/.test(
+    bytes.toString("ascii", 8, 12)
+  );
+
+/**
+ * Read the first bytes of an uploaded file
+ * @param {Object} file - express-fileupload file
+ * @returns {Promise<Buffer>} - Up to 12 bytes
+ */
+const readHeader = async (file) => {
+  if (!file.tempFilePath) {
+    return file.data.subarray(0, 12);
+  }
+
+  const handle = await fs.promises.open(file.tempFilePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Remove temp files once the response is sent
+const cleanupTempFiles = (req, res, next) => {
+  res.on("finish", () => {
+    Object.values(req.files || {})
+      .flat()
+      .forEach((file) => {
+        if (file.tempFilePath) {
+          fs.promises.unlink(file.tempFilePath).catch(() => {});
+        }
+      });
+  });
+
+  next();
+};
+
+/**
+ * Check that an uploaded image (if any) is a supported type
+ * Both the declared MIME type and the file contents must match. HEIC
+ * photos get their own error so clients know to convert them to JPEG.
+ * @param {string} field - Form field holding the image
+ * @returns {Function} - Express middleware
+ */
+const checkImage = (field) => async (req, res, next) => {
+  const file = req.files && req.files[field];
+
+  if (!file) {
+    return next();
+  }
+
+  if (Array.isArray(file)) {
+    return next(new ErrorResponse("Please upload a single image", 400));
+  }
+
+  const matchesType = IMAGE_SIGNATURES[file.mimetype];
+
+  try {
+    const header = await readHeader(file);
+
+    if (isHeic(header)) {
+      return next(
+        new ErrorResponse(
+          "HEIC images are not supported. Please send the photo as JPEG (PNG and WebP also work)",
+          415
+        )
+      );
+    }
+
+    if (!matchesType || !matchesType(header)) {
+      return next(
+        new ErrorResponse("Please upload a JPEG, PNG or WebP image", 415)
+      );
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  next();
+};
+
+/**
+ * Parse a multipart image upload into req.files[field]
+ * Requests without a file pass through untouched.
+ * @param {string} [field="image"] - Form field holding the image
+ * @returns {Array} - Express middleware
+ */
+exports.imageUpload = (field = "image") => [
+  fileUpload({
+    limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: 1 },
+    abortOnLimit: true,
+    limitHandler: (req, res) => {
+      res.status(413).json({
+        success: false,
+        error: `Image can not be larger than ${MAX_FILE_MB} MB`,
+      });
+    },
+    useTempFiles: true,
+    tempFileDir: path.join(os.tmpdir(), "niblet-uploads"),
+    safeFileNames: true,
+    preserveExtension: 4,
+    // Allow form fields such as items[0][name]
+    parseNested: true,
+  }),
+  cleanupTempFiles,
+  checkImage(field),
+];
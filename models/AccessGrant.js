@@ -0,0 +1,69 @@
+// models/AccessGrant.js - Access a user grants another account to their diary
+const mongoose = require("mongoose");
+
+// Parts of the diary that can be shared
+const AREAS = ["meals", "weight", "goals"];
+
+const AccessGrantSchema = new mongoose.Schema({
+  // User whose diary is shared (the client)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Invited email address
+  email: {
+    type: String,
+    required: [true, "Email is required"],
+    lowercase: true,
+    trim: true,
+  },
+  // Account that accepted the invitation (the coach or dietitian)
+  grantee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  permission: {
+    type: String,
+    enum: ["read", "comment"],
+    default: "read",
+  },
+  areas: {
+    type: [
+      {
+        type: String,
+        enum: AREAS,
+      },
+    ],
+    default: AREAS,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "active", "declined", "revoked"],
+    default: "pending",
+  },
+  acceptedAt: Date,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for access checks and listing invitations
+AccessGrantSchema.index({ owner: 1, grantee: 1, status: 1 });
+AccessGrantSchema.index({ email: 1, status: 1 });
+
+// Find an active grant letting grantee access an area of owner's diary
+AccessGrantSchema.statics.findActive = function (owner, grantee, area) {
+  return this.findOne({
+    owner,
+    grantee,
+    status: "active",
+    areas: area,
+  });
+};
+
+AccessGrantSchema.statics.AREAS = AREAS;
+
+module.exports = mongoose.model("AccessGrant", AccessGrantSchema);
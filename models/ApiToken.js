@@ -0,0 +1,121 @@
+// models/ApiToken.js - Personal access token model for scripts and integrations
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Prefix that identifies personal access tokens (vs. JWT access tokens)
+const TOKEN_PREFIX = "nbt_";
+
+// Scopes a token can be granted
+const SCOPES = [
+  "meals:read",
+  "meals:write",
+  "weight:read",
+  "weight:write",
+  "goals:read",
+  "goals:write",
+];
+
+const ApiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, "Token name is required"],
+    trim: true,
+    maxlength: [100, "Token name can not be more than 100 characters"],
+  },
+  // SHA-256 hash of the token (the raw token is only shown once)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // First characters of the token so users can tell tokens apart
+  tokenPreview: {
+    type: String,
+  },
+  scopes: {
+    type: [
+      {
+        type: String,
+        enum: SCOPES,
+      },
+    ],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: "At least one scope is required",
+    },
+  },
+  expiresAt: {
+    type: Date,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for listing a user's tokens
+ApiTokenSchema.index({ user: 1, createdAt: -1 });
+
+// Hash a raw token for storage and lookup
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Generate a new raw token, store its hash and return it
+ApiTokenSchema.methods.generateToken = function () {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+
+  this.tokenHash = hashToken(token);
+  this.tokenPreview = token.slice(0, TOKEN_PREFIX.length + 6);
+
+  return token;
+};
+
+// Whether the token can still be used
+ApiTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+// Record usage, at most once a minute to avoid a write on every request
+ApiTokenSchema.methods.touch = async function () {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < 60 * 1000) {
+    return;
+  }
+
+  this.lastUsedAt = Date.now();
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt }
+  );
+};
+
+// Find a token by its raw value
+ApiTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Revoke every active token belonging to a user
+ApiTokenSchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { revokedAt: Date.now() }
+  );
+};
+
+// Whether a bearer token looks like a personal access token
+ApiTokenSchema.statics.isApiToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+ApiTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model("ApiToken", ApiTokenSchema);
@@ -0,0 +1,48 @@
+// models/AuditEvent.js - Audit trail of security-relevant account events
+const mongoose = require("mongoose");
+
+const AuditEventSchema = new mongoose.Schema({
+  // Event name, e.g. "admin.user.disable"
+  action: {
+    type: String,
+    required: true,
+  },
+  // User who performed the action (empty for anonymous requests)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Account the action was performed on
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  outcome: {
+    type: String,
+    enum: ["success", "failure"],
+    default: "success",
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  requestId: {
+    type: String,
+  },
+  // Extra details specific to the action
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for reviewing an account's history and an actor's actions
+AuditEventSchema.index({ subject: 1, createdAt: -1 });
+AuditEventSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditEvent", AuditEventSchema);
@@ -0,0 +1,107 @@
+// models/Food.js - Food catalog model (nutrition per 100 g with named servings)
+const mongoose = require("mongoose");
+const { tokenize, singularize } = require("../utils/foodParser");
+const { nutrientFields } = require("../utils/nutrients");
+
+const FoodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Food name is required"],
+    trim: true,
+    lowercase: true,
+    maxlength: [100, "Food name can not be more than 100 characters"],
+  },
+  // Other names the food is known by ("spaghetti" for pasta)
+  aliases: [
+    {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+  ],
+  brand: {
+    type: String,
+    trim: true,
+  },
+  // UPC/EAN barcode of a packaged food
+  barcode: {
+    type: String,
+    trim: true,
+  },
+  // Set for a user's private custom foods; global catalog foods have none
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Nutrition per 100 g
+  calories: {
+    type: Number,
+    required: [true, "Calorie amount is required"],
+    min: [0, "Calories can not be negative"],
+  },
+  // Protein, carbs, fat, fiber, sugar and saturated fat in grams; sodium and
+  // cholesterol in milligrams
+  ...nutrientFields({ default: 0, min: [0, "Nutrients can not be negative"] }),
+  // Named serving sizes in grams ("slice" = 30 g)
+  servings: [
+    {
+      _id: false,
+      unit: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      grams: {
+        type: Number,
+        required: true,
+        min: [0, "Serving weight can not be negative"],
+      },
+    },
+  ],
+  // Unit used when a quantity is given without one
+  defaultUnit: {
+    type: String,
+    default: "serving",
+  },
+  // How often the food has been logged across all users
+  popularity: {
+    type: Number,
+    default: 0,
+  },
+  // Normalized words from name, aliases and brand used for search
+  searchTerms: {
+    type: [String],
+    select: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for prefix search and ranking
+FoodSchema.index({ searchTerms: 1 });
+FoodSchema.index({ name: 1, brand: 1 });
+FoodSchema.index({ aliases: 1 });
+FoodSchema.index({ popularity: -1 });
+FoodSchema.index({ owner: 1, name: 1 });
+
+// Index for barcode scans
+FoodSchema.index({ barcode: 1 }, { sparse: true });
+
+// Normalized search words for a food's name, aliases and brand
+FoodSchema.statics.buildSearchTerms = ({ name, aliases, brand }) => {
+  const words = [name, ...(aliases || []), brand || ""]
+    .map((text) => tokenize(String(text).toLowerCase()).map(singularize))
+    .flat();
+
+  return [...new Set(words)];
+};
+
+// Keep search terms in sync with names
+FoodSchema.pre("save", function (next) {
+  this.searchTerms = this.constructor.buildSearchTerms(this);
+  next();
+});
+
+module.exports = mongoose.model("Food", FoodSchema);
@@ -1,5 +1,6 @@
 // models/Goal.js - Goal model schema for weight and nutrition targets
 const mongoose = require("mongoose");
+const { nutrientFields, EXTENDED_NUTRIENTS } = require("../utils/nutrients");
 
 const GoalSchema = new mongoose.Schema({
   user: {
@@ -45,6 +46,20 @@ const GoalSchema = new mongoose.Schema({
       type: Number, // in grams
       default: 65,
     },
+    // Optional targets for fiber and the other tracked nutrients
+    ...nutrientFields(
+      { min: [0, "Targets can not be negative"] },
+      EXTENDED_NUTRIENTS
+    ),
+  },
+  // Optional daily maximums (e.g. sodium in mg, sugar in grams) that meal
+  // summaries report against
+  limits: {
+    calories: {
+      type: Number,
+      min: [0, "Limits can not be negative"],
+    },
+    ...nutrientFields({ min: [0, "Limits can not be negative"] }),
   },
   createdAt: {
     type: Date,
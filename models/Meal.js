@@ -1,5 +1,14 @@
 // models/Meal.js - Meal model schema for food tracking
 const mongoose = require("mongoose");
+const { sumItems } = require("../utils/nutritionAnalysis");
+const { nutrientFields, MACRONUTRIENTS } = require("../utils/nutrients");
+
+// How far hand-entered totals may drift from the items before being flagged
+const MISMATCH_TOLERANCE = {
+  calories: 10, // kcal
+  macros: 2, // grams
+  ratio: 0.05,
+};
 
 const MealSchema = new mongoose.Schema({
   user: {
@@ -26,19 +35,18 @@ const MealSchema = new mongoose.Schema({
     type: Number,
     required: [true, "Calorie amount is required"],
   },
-  nutrition: {
-    protein: {
-      type: Number, // in grams
-      default: 0,
-    },
-    carbs: {
-      type: Number, // in grams
-      default: 0,
-    },
-    fat: {
-      type: Number, // in grams
-      default: 0,
-    },
+  // Grams, except sodium and cholesterol in milligrams
+  nutrition: nutrientFields({ default: 0 }),
+  // Whether calories and nutrition were entered by hand instead of being
+  // derived from the items
+  manualTotals: {
+    type: Boolean,
+    default: false,
+  },
+  // Set when hand-entered totals disagree with the sum of the items
+  totalsMismatch: {
+    type: Boolean,
+    default: false,
   },
   // For storing food items if we break down the meal
   items: [
@@ -47,40 +55,103 @@ const MealSchema = new mongoose.Schema({
         type: String,
         trim: true,
       },
+      // Catalog food the item was matched to
+      food: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Food",
+      },
       quantity: {
         type: Number,
         default: 1,
       },
-      calories: {
-        type: Number,
+      unit: {
+        type: String,
+        trim: true,
       },
-      protein: {
+      grams: {
         type: Number,
       },
-      carbs: {
+      calories: {
         type: Number,
       },
-      fat: {
+      ...nutrientFields(),
+      // How sure text analysis was of the food and portion (0-1)
+      confidence: {
         type: Number,
+        min: 0,
+        max: 1,
+      },
+    },
+  ],
+  // Comments from the owner or a coach with comment access
+  comments: [
+    {
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      text: {
+        type: String,
+        required: [true, "Comment text is required"],
+        trim: true,
+        maxlength: [1000, "Comment can not be more than 1000 characters"],
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
       },
     },
   ],
-  // For image uploads
+  // For image uploads (stored resized, with a thumbnail for list views)
   image: {
     url: String,
     publicId: String,
+    thumbnailUrl: String,
+    thumbnailPublicId: String,
   },
   // For storing the original text input for the meal
   originalText: {
     type: String,
     trim: true,
   },
-  // Whether the meal was entered manually or via NLP
+  // How text analysis arrived at the calories (see analyzeTextForCalories)
+  estimation: {
+    method: {
+      type: String,
+      enum: ["provider", "database", "meal-type", "default"],
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    // Words that matched no food
+    unrecognized: {
+      type: [String],
+      default: undefined,
+    },
+  },
+  // Whether the meal was entered manually, via NLP, from a recipe or a template
   entryMethod: {
     type: String,
-    enum: ["manual", "text", "image"],
+    enum: ["manual", "text", "image", "recipe", "template"],
     default: "manual",
   },
+  // Template the meal was logged from
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "MealTemplate",
+  },
+  // Recipe the meal was logged from, and how many servings were eaten
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Recipe",
+  },
+  servings: {
+    type: Number,
+    min: [0, "Servings can not be negative"],
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -89,5 +160,46 @@ const MealSchema = new mongoose.Schema({
 
 // Index for efficient querying by user and date
 MealSchema.index({ user: 1, date: 1 });
+// Lets the orphaned image sweep find the meals that use an image
+MealSchema.index({ "image.publicId": 1 }, { sparse: true });
+MealSchema.index({ "image.thumbnailPublicId": 1 }, { sparse: true });
+
+// Whether a total is further from the items' sum than the tolerance allows
+const differs = (value, expected, allowed) =>
+  Math.abs((value || 0) - expected) >
+  Math.max(allowed, expected * MISMATCH_TOLERANCE.ratio);
+
+// Derive totals from the items, or flag hand-entered totals that disagree
+MealSchema.pre("validate", function (next) {
+  const items = this.items || [];
+  const complete =
+    items.length > 0 &&
+    items.every(
+      (item) => item.calories !== undefined && item.calories !== null
+    );
+
+  if (!complete) {
+    this.totalsMismatch = false;
+    return next();
+  }
+
+  const totals = sumItems(items);
+
+  if (this.manualTotals) {
+    const nutrition = this.nutrition || {};
+    this.totalsMismatch =
+      differs(this.calories, totals.calories, MISMATCH_TOLERANCE.calories) ||
+      MACRONUTRIENTS.some((key) =>
+        differs(nutrition[key], totals[key], MISMATCH_TOLERANCE.macros)
+      );
+  } else {
+    const { calories, ...nutrition } = totals;
+    this.calories = calories;
+    this.nutrition = nutrition;
+    this.totalsMismatch = false;
+  }
+
+  next();
+});
 
 module.exports = mongoose.model("Meal", MealSchema);
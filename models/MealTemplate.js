@@ -0,0 +1,127 @@
+// models/MealTemplate.js - Saved meal template for quick re-logging
+const mongoose = require("mongoose");
+const { nutrientFields, pickNutrients } = require("../utils/nutrients");
+
+const MealTemplateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, "Template name is required"],
+    trim: true,
+    maxlength: [100, "Template name can not be more than 100 characters"],
+  },
+  // Default meal slot when logging (can be overridden)
+  mealType: {
+    type: String,
+    enum: ["breakfast", "lunch", "dinner", "snack"],
+  },
+  description: {
+    type: String,
+    required: [true, "Meal description is required"],
+    trim: true,
+  },
+  calories: {
+    type: Number,
+    required: [true, "Calorie amount is required"],
+  },
+  // Grams, except sodium and cholesterol in milligrams
+  nutrition: nutrientFields({ default: 0 }),
+  // Whether the totals were entered by hand (see Meal), so logging the
+  // template keeps them instead of summing the items
+  manualTotals: {
+    type: Boolean,
+    default: false,
+  },
+  items: [
+    {
+      name: {
+        type: String,
+        trim: true,
+      },
+      food: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Food",
+      },
+      quantity: {
+        type: Number,
+        default: 1,
+      },
+      unit: {
+        type: String,
+        trim: true,
+      },
+      grams: {
+        type: Number,
+      },
+      calories: {
+        type: Number,
+      },
+      ...nutrientFields(),
+    },
+  ],
+  // Meal the template was saved from
+  sourceMeal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Meal",
+  },
+  useCount: {
+    type: Number,
+    default: 0,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for listing a user's templates
+MealTemplateSchema.index({ user: 1, useCount: -1 });
+
+// Plain copies of items without their subdocument ids
+const copyItems = (items) =>
+  items.map((item) => {
+    const { _id, ...fields } = item.toObject ? item.toObject() : item;
+    return fields;
+  });
+
+// Plain copy of nutrition values
+const copyNutrition = (nutrition) => pickNutrients(nutrition);
+
+// Build a template from a logged meal
+MealTemplateSchema.statics.fromMeal = function (meal, name) {
+  return new this({
+    user: meal.user,
+    name: name || meal.description.slice(0, 100),
+    mealType: meal.mealType,
+    description: meal.description,
+    calories: meal.calories,
+    nutrition: copyNutrition(meal.nutrition),
+    manualTotals: meal.manualTotals,
+    items: copyItems(meal.items),
+    sourceMeal: meal._id,
+  });
+};
+
+// Meal fields for logging the template
+MealTemplateSchema.methods.toMealFields = function () {
+  return {
+    user: this.user,
+    mealType: this.mealType,
+    description: this.description,
+    calories: this.calories,
+    nutrition: copyNutrition(this.nutrition),
+    manualTotals: this.manualTotals,
+    items: copyItems(this.items),
+    template: this._id,
+    entryMethod: "template",
+  };
+};
+
+module.exports = mongoose.model("MealTemplate", MealTemplateSchema);
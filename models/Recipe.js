@@ -0,0 +1,113 @@
+// models/Recipe.js - Recipe model with ingredients and per-serving nutrition
+const mongoose = require("mongoose");
+const { sumItems } = require("../utils/nutritionAnalysis");
+const { nutrientFields, scaleNutrients } = require("../utils/nutrients");
+
+const RecipeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, "Recipe name is required"],
+    trim: true,
+    maxlength: [100, "Recipe name can not be more than 100 characters"],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, "Description can not be more than 2000 characters"],
+  },
+  // Number of servings the ingredients make
+  servings: {
+    type: Number,
+    required: [true, "Number of servings is required"],
+    min: [0.1, "Servings must be greater than zero"],
+    default: 1,
+  },
+  ingredients: {
+    type: [
+      {
+        name: {
+          type: String,
+          trim: true,
+        },
+        // Catalog or custom food the ingredient refers to
+        food: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Food",
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+        },
+        unit: {
+          type: String,
+          trim: true,
+        },
+        grams: {
+          type: Number,
+        },
+        calories: {
+          type: Number,
+          required: [true, "Ingredient calories are required"],
+        },
+        ...nutrientFields({ default: 0 }),
+      },
+    ],
+    validate: {
+      validator: (ingredients) => ingredients.length > 0,
+      message: "At least one ingredient is required",
+    },
+  },
+  // Whole-recipe and per-serving nutrition, derived from the ingredients
+  totals: {
+    calories: Number,
+    ...nutrientFields(),
+  },
+  perServing: {
+    calories: Number,
+    ...nutrientFields(),
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Index for listing a user's recipes
+RecipeSchema.index({ user: 1, name: 1 });
+
+// Recalculate nutrition whenever the recipe is saved
+RecipeSchema.pre("validate", function (next) {
+  const totals = sumItems(this.ingredients || []);
+  const servings = this.servings > 0 ? this.servings : 1;
+
+  this.totals = totals;
+  this.perServing = scaleNutrients(totals, 1 / servings);
+  this.updatedAt = Date.now();
+
+  next();
+});
+
+// Meal items for eating a number of servings of the recipe
+RecipeSchema.methods.toMealItems = function (servings) {
+  const factor = servings / this.servings;
+
+  return this.ingredients.map((ingredient) => ({
+    name: ingredient.name,
+    food: ingredient.food,
+    quantity: Math.round(ingredient.quantity * factor * 100) / 100,
+    unit: ingredient.unit,
+    grams: ingredient.grams && Math.round(ingredient.grams * factor),
+    ...scaleNutrients(ingredient, factor),
+  }));
+};
+
+module.exports = mongoose.model("Recipe", RecipeSchema);
@@ -0,0 +1,116 @@
+// models/Session.js - Session model schema for refresh tokens and signed-in devices
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // SHA-256 hash of the current refresh token (the raw token is never stored)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // Hash of the token this one replaced, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    select: false,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  ip: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for token lookup and listing a user's sessions
+SessionSchema.index({ refreshTokenHash: 1 });
+SessionSchema.index({ previousTokenHash: 1 });
+SessionSchema.index({ user: 1, createdAt: -1 });
+
+// Let MongoDB remove sessions once they have expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage and lookup
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh token lifetime in milliseconds
+const getRefreshTokenLifetime = () =>
+  (process.env.REFRESH_TOKEN_EXPIRE_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+// Generate a new random refresh token and store its hash on the session
+SessionSchema.methods.generateRefreshToken = function () {
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+
+  if (this.refreshTokenHash) {
+    this.previousTokenHash = this.refreshTokenHash;
+  }
+
+  this.refreshTokenHash = hashToken(refreshToken);
+  this.expiresAt = new Date(Date.now() + getRefreshTokenLifetime());
+  this.lastUsedAt = Date.now();
+
+  return refreshToken;
+};
+
+// Whether the session can still be used to authenticate
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Create a session for a user and return it with its raw refresh token
+SessionSchema.statics.createForUser = async function (userId, req) {
+  const session = new this({
+    user: userId,
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+
+  const refreshToken = session.generateRefreshToken();
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Find a session by raw refresh token
+SessionSchema.statics.findByRefreshToken = function (refreshToken) {
+  return this.findOne({ refreshTokenHash: hashToken(refreshToken) }).select(
+    "+refreshTokenHash +previousTokenHash"
+  );
+};
+
+// Find a session whose previous (already rotated) token matches
+SessionSchema.statics.findByPreviousToken = function (refreshToken) {
+  return this.findOne({ previousTokenHash: hashToken(refreshToken) });
+};
+
+// Revoke every active session belonging to a user
+SessionSchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { revokedAt: Date.now() }
+  );
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -2,6 +2,19 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const { verifyCode } = require("../utils/totp");
+
+// Recovery codes are compared case-insensitively and without separators
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      String(code)
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, "")
+    )
+    .digest("hex");
 
 const UserSchema = new mongoose.Schema({
   email: {
@@ -23,6 +36,11 @@ const UserSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  role: {
+    type: String,
+    enum: ["user", "coach", "admin"],
+    default: "user",
+  },
   profile: {
     height: { type: Number }, // Height in inches
     weight: { type: Number }, // Weight in pounds (current)
@@ -56,8 +74,67 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerificationToken: String,
+  emailVerificationExpire: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  passwordChangedAt: Date,
+  // Failed login tracking for brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret awaiting confirmation with a first code
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted time step, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+  },
+  // Embedded in every access token; bumping it invalidates all issued tokens
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  // Set by an admin to block all access to the account
+  disabledAt: Date,
+  disabledReason: {
+    type: String,
+    trim: true,
+  },
+  // Set by an admin; the user must reset their password before logging in
+  passwordResetRequired: {
+    type: Boolean,
+    default: false,
+  },
+  // Set when the user asks to delete their account; data is purged after this date
+  deletionScheduledFor: Date,
   createdAt: {
     type: Date,
     default: Date.now,
@@ -68,7 +145,13 @@ const UserSchema = new mongoose.Schema({
 UserSchema.pre("save", async function (next) {
   // Only hash password if it's modified (or new)
   if (!this.isModified("password")) {
-    next();
+    return next();
+  }
+
+  // Changing an existing password invalidates every token issued before it
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now();
+    this.invalidateTokens();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -76,15 +159,120 @@ UserSchema.pre("save", async function (next) {
   next();
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function () {
+// Sign a short-lived access token bound to a session and return
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
   return jwt.sign(
-    { id: this._id },
+    { id: this._id, sid: sessionId, tv: this.tokenVersion },
     process.env.JWT_SECRET || "your_jwt_secret_key_dev_only",
-    { expiresIn: process.env.JWT_EXPIRE || "30d" }
+    { expiresIn: process.env.JWT_EXPIRE || "15m" }
   );
 };
 
+// Sign a short-lived token proving the password step of a two-factor login
+UserSchema.methods.getTwoFactorChallengeToken = function () {
+  return jwt.sign(
+    { id: this._id, purpose: "2fa", tv: this.tokenVersion },
+    process.env.JWT_SECRET || "your_jwt_secret_key_dev_only",
+    { expiresIn: "5m" }
+  );
+};
+
+// Generate new recovery codes, store their hashes and return the raw codes
+UserSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: 10 }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+
+  return codes;
+};
+
+// Verify a TOTP code (requires +twoFactor.secret +twoFactor.lastUsedStep)
+UserSchema.methods.verifyTwoFactorCode = function (code) {
+  const step = verifyCode(this.twoFactor.secret, code, {
+    lastUsedStep: this.twoFactor.lastUsedStep,
+  });
+
+  if (step === null) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Consume a recovery code (requires +twoFactor.recoveryCodes)
+UserSchema.methods.useRecoveryCode = function (code) {
+  const hash = hashRecoveryCode(code);
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Invalidate all previously issued access tokens (takes effect on save)
+UserSchema.methods.invalidateTokens = function () {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+};
+
+// Whether the account is temporarily locked after repeated failed logins
+UserSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Milliseconds the user must wait before the next login attempt
+UserSchema.methods.getLoginDelay = function () {
+  const delayAfter = 3;
+
+  if (this.failedLoginAttempts < delayAfter || !this.lastFailedLoginAt) {
+    return 0;
+  }
+
+  // Double the delay for every failure past the threshold
+  const delay = 1000 * 2 ** (this.failedLoginAttempts - delayAfter);
+
+  return Math.max(0, this.lastFailedLoginAt.getTime() + delay - Date.now());
+};
+
+// Record a failed login and lock the account once the limit is reached
+// Returns true if this failure locked the account
+UserSchema.methods.registerFailedLogin = async function () {
+  const maxAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+  const lockMinutes = Number(process.env.LOGIN_LOCK_MINUTES || 15);
+
+  // Start counting again once a previous lock has expired
+  if (this.lockUntil && this.lockUntil <= Date.now()) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+  }
+
+  this.failedLoginAttempts += 1;
+  this.lastFailedLoginAt = Date.now();
+
+  const locked = this.failedLoginAttempts >= maxAttempts;
+
+  if (locked) {
+    this.lockUntil = Date.now() + lockMinutes * 60 * 1000;
+  }
+
+  await this.save({ validateBeforeSave: false });
+
+  return locked;
+};
+
+// Clear failed login tracking (after a successful login or password reset)
+UserSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -107,4 +295,21 @@ UserSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+// Generate and hash email verification token
+UserSchema.methods.getEmailVerificationToken = function () {
+  // Generate token
+  const verificationToken = crypto.randomBytes(20).toString("hex");
+
+  // Hash token and set to emailVerificationToken field
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  // Set expire
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return verificationToken;
+};
+
 module.exports = mongoose.model("User", UserSchema);
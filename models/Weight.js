@@ -42,7 +42,7 @@ WeightSchema.index({ user: 1, date: 1 }, { unique: true });
 // Static method to get weight stats for a user
 WeightSchema.statics.getStats = async function (userId) {
   const stats = await this.aggregate([
-    { $match: { user: mongoose.Types.ObjectId(userId) } },
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
     { $sort: { date: 1 } },
     {
       $group: {
@@ -0,0 +1,32 @@
+// routes/access.routes.js - Diary sharing routes
+const express = require("express");
+const {
+  createInvitation,
+  getInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getGrants,
+  updateGrant,
+  revokeGrant,
+  getClients,
+} = require("../controllers/access.controller");
+
+const router = express.Router();
+
+// Import auth middleware
+const { protect, requireSession } = require("../middleware/auth.middleware");
+
+// All routes require a signed-in session
+router.use(protect, requireSession);
+
+// Routes
+router.route("/invitations").get(getInvitations).post(createInvitation);
+router.put("/invitations/:id/accept", acceptInvitation);
+router.put("/invitations/:id/decline", declineInvitation);
+
+router.get("/grants", getGrants);
+router.route("/grants/:id").put(updateGrant).delete(revokeGrant);
+
+router.get("/clients", getClients);
+
+module.exports = router;
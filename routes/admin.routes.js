@@ -0,0 +1,34 @@
+// routes/admin.routes.js - Admin routes
+const express = require("express");
+const {
+  getUsers,
+  getUser,
+  getStats,
+  updateUserRole,
+  disableUser,
+  enableUser,
+  forcePasswordReset,
+} = require("../controllers/admin.controller");
+
+const router = express.Router();
+
+// Import auth middleware
+const {
+  protect,
+  requireSession,
+  authorize,
+} = require("../middleware/auth.middleware");
+
+// All routes require a signed-in admin
+router.use(protect, requireSession, authorize("admin"));
+
+// Routes
+router.get("/stats", getStats);
+router.get("/users", getUsers);
+router.get("/users/:id", getUser);
+router.put("/users/:id/role", updateUserRole);
+router.put("/users/:id/disable", disableUser);
+router.put("/users/:id/enable", enableUser);
+router.post("/users/:id/force-password-reset", forcePasswordReset);
+
+module.exports = router;
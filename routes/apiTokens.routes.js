@@ -0,0 +1,22 @@
+// routes/apiTokens.routes.js - Personal access token routes
+const express = require("express");
+const {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+} = require("../controllers/apiTokens.controller");
+
+const router = express.Router();
+
+// Import auth middleware
+const { protect, requireSession } = require("../middleware/auth.middleware");
+
+// All routes require a signed-in session (tokens can't manage tokens)
+router.use(protect, requireSession);
+
+// Routes
+router.route("/").get(getApiTokens).post(createApiToken);
+
+router.delete("/:id", revokeApiToken);
+
+module.exports = router;
@@ -9,21 +9,61 @@ const {
   updatePassword,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  verifyTwoFactor,
+  getActivity,
 } = require("../controllers/auth.controller");
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/twoFactor.controller");
 
 const router = express.Router();
 
 // Import auth middleware
-const { protect } = require("../middleware/auth.middleware");
+const { protect, requireSession } = require("../middleware/auth.middleware");
+const {
+  loginLimiter,
+  registerLimiter,
+  forgotPasswordLimiter,
+} = require("../middleware/rateLimit.middleware");
 
 // Routes
-router.post("/register", register);
-router.post("/login", login);
-router.get("/me", protect, getMe);
+router.post("/register", registerLimiter, register);
+router.post("/login", loginLimiter, login);
+router.get("/me", protect, requireSession, getMe);
 router.get("/logout", logout);
-router.put("/updatedetails", protect, updateDetails);
-router.put("/updatepassword", protect, updatePassword);
-router.post("/forgotpassword", forgotPassword);
+router.put("/updatedetails", protect, requireSession, updateDetails);
+router.put("/updatepassword", protect, requireSession, updatePassword);
+router.post("/forgotpassword", forgotPasswordLimiter, forgotPassword);
 router.put("/resetpassword/:resettoken", resetPassword);
+router.get("/verifyemail/:verificationtoken", verifyEmail);
+router.post("/resendverification", protect, requireSession, resendVerification);
+router.post("/refresh", refreshToken);
+router
+  .route("/sessions")
+  .get(protect, requireSession, getSessions)
+  .delete(protect, requireSession, revokeAllSessions);
+router.delete("/sessions/:id", protect, requireSession, revokeSession);
+router.get("/activity", protect, requireSession, getActivity);
+
+// Two-factor authentication
+router.post("/2fa/verify", loginLimiter, verifyTwoFactor);
+router.post("/2fa/setup", protect, requireSession, setupTwoFactor);
+router.post("/2fa/confirm", protect, requireSession, confirmTwoFactor);
+router.post("/2fa/disable", protect, requireSession, disableTwoFactor);
+router.post(
+  "/2fa/recovery-codes",
+  protect,
+  requireSession,
+  regenerateRecoveryCodes
+);
 
 module.exports = router;
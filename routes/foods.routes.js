@@ -0,0 +1,34 @@
+// routes/foods.routes.js - Food catalog routes
+const express = require("express");
+const {
+  getFoods,
+  getFood,
+  getFoodByBarcode,
+  getCustomFoods,
+  createCustomFood,
+  updateCustomFood,
+  deleteCustomFood,
+} = require("../controllers/foods.controller");
+
+const router = express.Router();
+
+// Import auth middleware
+const {
+  protect,
+  requireResourceScope,
+} = require("../middleware/auth.middleware");
+
+// All routes require authentication; API tokens need the meals scopes
+router.use(protect, requireResourceScope("meals"));
+
+// Routes
+router.get("/", getFoods);
+
+router.route("/custom").get(getCustomFoods).post(createCustomFood);
+router.route("/custom/:id").put(updateCustomFood).delete(deleteCustomFood);
+
+router.get("/barcode/:code", getFoodByBarcode);
+
+router.get("/:id", getFood);
+
+module.exports = router;
@@ -12,15 +12,19 @@ const {
 const router = express.Router();
 
 // Import auth middleware
-const { protect } = require("../middleware/auth.middleware");
+const {
+  protect,
+  requireResourceScope,
+} = require("../middleware/auth.middleware");
+const { resolveDiaryOwner } = require("../middleware/access.middleware");
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; API tokens need the goals scopes
+router.use(protect, requireResourceScope("goals"));
 
 // Routes
 router.route("/").get(getGoals).post(createGoal);
 
-router.get("/current", getCurrentGoal);
+router.get("/current", resolveDiaryOwner("goals"), getCurrentGoal);
 router.post("/calculate-calories", calculateCalories);
 
 router.route("/:id").put(updateGoal).delete(deleteGoal);
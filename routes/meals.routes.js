@@ -8,22 +8,62 @@ const {
   deleteMeal,
   getMealSummary,
   analyzeMealText,
+  addMealComment,
+  getRecentMeals,
+  copyMeals,
+  addMealItem,
+  updateMealItem,
+  deleteMealItem,
 } = require("../controllers/meals.controller");
+const {
+  getMealTemplates,
+  createMealTemplate,
+  updateMealTemplate,
+  deleteMealTemplate,
+  logMealTemplate,
+} = require("../controllers/mealTemplates.controller");
 
 const router = express.Router();
 
 // Import auth middleware
-const { protect, checkOnboarding } = require("../middleware/auth.middleware");
+const {
+  protect,
+  checkOnboarding,
+  requireResourceScope,
+} = require("../middleware/auth.middleware");
+const { resolveDiaryOwner } = require("../middleware/access.middleware");
+const { imageUpload } = require("../middleware/upload.middleware");
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; API tokens need the meals scopes
+router.use(protect, requireResourceScope("meals"));
 
 // Routes
-router.route("/").get(getMeals).post(createMeal);
+router
+  .route("/")
+  .get(resolveDiaryOwner("meals"), getMeals)
+  .post(imageUpload(), createMeal);
 
-router.get("/summary", getMealSummary);
+router.get("/summary", resolveDiaryOwner("meals"), getMealSummary);
 router.post("/analyze-text", analyzeMealText);
+router.get("/recent", getRecentMeals);
+router.post("/copy", copyMeals);
+
+// Templates
+router.get("/templates", getMealTemplates);
+router
+  .route("/templates/:id")
+  .put(updateMealTemplate)
+  .delete(deleteMealTemplate);
+router.post("/from-template/:id", logMealTemplate);
 
-router.route("/:id").get(getMeal).put(updateMeal).delete(deleteMeal);
+router
+  .route("/:id")
+  .get(getMeal)
+  .put(imageUpload(), updateMeal)
+  .delete(deleteMeal);
+router.post("/:id/items", addMealItem);
+router.route("/:id/items/:itemId").put(updateMealItem).delete(deleteMealItem);
+router.post("/:id/comments", addMealComment);
+router.post("/:id/template", createMealTemplate);
 
 module.exports = router;
@@ -0,0 +1,27 @@
+// routes/recipes.routes.js - Recipe routes
+const express = require("express");
+const {
+  getRecipes,
+  getRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe,
+} = require("../controllers/recipes.controller");
+
+const router = express.Router();
+
+// Import auth middleware
+const {
+  protect,
+  requireResourceScope,
+} = require("../middleware/auth.middleware");
+
+// All routes require authentication; API tokens need the meals scopes
+router.use(protect, requireResourceScope("meals"));
+
+// Routes
+router.route("/").get(getRecipes).post(createRecipe);
+
+router.route("/:id").get(getRecipe).put(updateRecipe).delete(deleteRecipe);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// routes/uploads.routes.js - Privately stored upload routes
+const express = require("express");
+const { getMealImage } = require("../controllers/uploads.controller");
+
+const router = express.Router();
+
+// Import auth middleware
+const {
+  protect,
+  requireResourceScope,
+} = require("../middleware/auth.middleware");
+
+// All routes require authentication; API tokens need the meals scopes
+router.use(protect, requireResourceScope("meals"));
+
+// Routes
+router.get("/meals/:userId/:file", getMealImage);
+
+module.exports = router;
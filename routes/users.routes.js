@@ -4,19 +4,25 @@ const {
   updateProfile,
   getProfile,
   completeOnboarding,
+  exportUserData,
+  deleteAccount,
+  cancelAccountDeletion,
 } = require("../controllers/users.controller");
 
 const router = express.Router();
 
 // Import auth middleware
-const { protect } = require("../middleware/auth.middleware");
+const { protect, requireSession } = require("../middleware/auth.middleware");
 
-// All routes require authentication
-router.use(protect);
+// All routes require a signed-in session
+router.use(protect, requireSession);
 
 // Routes
 router.get("/profile", getProfile);
 router.put("/profile", updateProfile);
 router.put("/complete-onboarding", completeOnboarding);
+router.get("/export", exportUserData);
+router.delete("/me", deleteAccount);
+router.post("/me/cancel-deletion", cancelAccountDeletion);
 
 module.exports = router;
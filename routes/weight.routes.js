@@ -12,15 +12,23 @@ const {
 const router = express.Router();
 
 // Import auth middleware
-const { protect, checkOnboarding } = require("../middleware/auth.middleware");
+const {
+  protect,
+  checkOnboarding,
+  requireResourceScope,
+} = require("../middleware/auth.middleware");
+const { resolveDiaryOwner } = require("../middleware/access.middleware");
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; API tokens need the weight scopes
+router.use(protect, requireResourceScope("weight"));
 
 // Routes
-router.route("/").get(getWeightEntries).post(createWeightEntry);
+router
+  .route("/")
+  .get(resolveDiaryOwner("weight"), getWeightEntries)
+  .post(createWeightEntry);
 
-router.get("/progress", getWeightProgress);
+router.get("/progress", resolveDiaryOwner("weight"), getWeightProgress);
 
 router
   .route("/:id")
@@ -0,0 +1,196 @@
+// scripts/importFoods.js - Import packaged foods from an Open Food Facts dump
+// Usage: node scripts/importFoods.js <file> [--dry-run]
+// Reads the Open Food Facts CSV/TSV export or JSONL dump (optionally .gz).
+// Products are matched by barcode: existing catalog entries are updated and
+// new ones inserted. Rows without a barcode, name or energy value, or with
+// impossible nutrient values, are skipped.
+const fs = require("fs");
+const readline = require("readline");
+const zlib = require("zlib");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const Food = require("../models/Food");
+const { fromOpenFoodFacts } = require("../utils/nutritionProviders");
+const { normalizeBarcode } = require("../utils/barcodes");
+
+// Products written per bulk operation
+const BATCH_SIZE = 1000;
+
+/**
+ * Split a CSV/TSV line into fields (double quotes may wrap fields)
+ * @param {string} line - One line of the file
+ * @param {string} delimiter - "," or "\t"
+ * @returns {Array} - Field values
+ */
+const splitLine = (line, delimiter) => {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+};
+
+/**
+ * Read products from a dump, one at a time
+ * @param {string} file - Path to a .csv, .tsv or .jsonl file (optionally .gz)
+ * @returns {AsyncGenerator<Object>} - Open Food Facts products
+ */
+async function* readProducts(file) {
+  let input = fs.createReadStream(file);
+  if (file.endsWith(".gz")) {
+    input = input.pipe(zlib.createGunzip());
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const isJson = /\.jsonl?(\.gz)?$/.test(file);
+  let header = null;
+  let delimiter = ",";
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    if (isJson) {
+      try {
+        yield JSON.parse(line);
+      } catch (err) {
+        yield {}; // Unreadable line, counted as skipped
+      }
+      continue;
+    }
+
+    if (!header) {
+      delimiter = line.includes("\t") ? "\t" : ",";
+      header = splitLine(line, delimiter);
+      continue;
+    }
+
+    // Dump rows keep the nutriments alongside the product fields
+    const values = splitLine(line, delimiter);
+    const row = Object.fromEntries(
+      header.map((column, i) => [column, values[i]])
+    );
+    yield { ...row, nutriments: row };
+  }
+}
+
+/**
+ * Insert or update a batch of foods by barcode
+ * @param {Array} foods - Foods from fromOpenFoodFacts
+ * @returns {Promise<Object>} - { inserted, updated }
+ */
+const writeBatch = async (foods) => {
+  // bulkWrite skips save hooks, so search terms are built here
+  const result = await Food.bulkWrite(
+    foods.map((food) => ({
+      updateOne: {
+        filter: { barcode: food.barcode, owner: null },
+        update: {
+          $set: {
+            ...Object.fromEntries(
+              Object.entries(food).filter(([, value]) => value !== undefined)
+            ),
+            searchTerms: Food.buildSearchTerms(food),
+          },
+          $setOnInsert: { popularity: 0, createdAt: new Date() },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  return { inserted: result.upsertedCount, updated: result.modifiedCount };
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const file = args.find((arg) => !arg.startsWith("--"));
+  const dryRun = args.includes("--dry-run");
+
+  if (!file || !fs.existsSync(file)) {
+    console.error("Usage: node scripts/importFoods.js <file> [--dry-run]");
+    process.exit(1);
+  }
+
+  if (!dryRun) {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/niblet"
+    );
+  }
+
+  const totals = { read: 0, skipped: 0, inserted: 0, updated: 0 };
+  let batch = new Map();
+
+  const flush = async () => {
+    if (batch.size > 0 && !dryRun) {
+      const { inserted, updated } = await writeBatch([...batch.values()]);
+      totals.inserted += inserted;
+      totals.updated += updated;
+    }
+    batch = new Map();
+  };
+
+  for await (const product of readProducts(file)) {
+    totals.read += 1;
+
+    const code = normalizeBarcode(product.code);
+    const food = code && fromOpenFoodFacts({ ...product, code });
+
+    // bulkWrite doesn't run schema validation, so check each food here
+    if (!food || new Food(food).validateSync()) {
+      totals.skipped += 1;
+      continue;
+    }
+
+    // Upserts in one batch must not share a barcode; later rows win
+    batch.set(code, food);
+
+    if (batch.size >= BATCH_SIZE) {
+      await flush();
+      console.log(`${totals.read} rows read`);
+    }
+  }
+
+  await flush();
+
+  console.log(
+    `${dryRun ? "Dry run: " : ""}${totals.read} rows read, ` +
+      `${totals.skipped} skipped, ${totals.inserted} inserted, ` +
+      `${totals.updated} updated`
+  );
+
+  if (!dryRun) {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,124 @@
+// scripts/mockNutritionServer.js - Local stand-in for the Nutritionix API
+// Usage: node scripts/mockNutritionServer.js
+// Then run the API with NUTRITION_PROVIDER=mock (and NUTRITION_MOCK_URL if the
+// port differs). Text is matched against the bundled food catalog.
+//   MOCK_NUTRITION_PORT        - Port to listen on (default 5090)
+//   MOCK_NUTRITION_DELAY_MS    - Delay before every response (to test timeouts)
+//   MOCK_NUTRITION_FAIL_FIRST  - Answer the first N requests with 503 (to test retries)
+const express = require("express");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const seedFoods = require("../config/foods.json");
+const { parseFoodText } = require("../utils/foodParser");
+const { portionToGrams } = require("../utils/units");
+const { scaleNutrients } = require("../utils/nutrients");
+const { buildMatcher, toCatalogFood } = require("../utils/foodCatalog");
+
+const PORT = parseInt(process.env.MOCK_NUTRITION_PORT, 10) || 5090;
+const DELAY_MS = parseInt(process.env.MOCK_NUTRITION_DELAY_MS, 10) || 0;
+let failuresLeft = parseInt(process.env.MOCK_NUTRITION_FAIL_FIRST, 10) || 0;
+
+// Packaged products answered by barcode lookup
+const PRODUCTS = {
+  "049000028911": { name: "cola", brand: "Coca-Cola", grams: 355 },
+  "016000275287": { name: "cereal", brand: "Cheerios", grams: 28 },
+  "051500255162": { name: "peanut butter", brand: "Jif", grams: 32 },
+};
+
+const { findFoodAt } = buildMatcher(
+  seedFoods.map((food) => ({ ...toCatalogFood(food), aliases: food.aliases }))
+);
+
+/**
+ * Describe a portion of a food the way Nutritionix does
+ * @param {Object} food - Catalog food
+ * @param {number} grams - Portion weight
+ * @param {Object} fields - Extra fields (serving_qty, serving_unit, ...)
+ * @returns {Object} - Nutritionix food
+ */
+const toNutritionixFood = (food, grams, fields) => {
+  const nutrients = scaleNutrients(food, grams / 100);
+
+  return {
+    food_name: food.name,
+    serving_weight_grams: Math.round(grams),
+    nf_calories: nutrients.calories,
+    nf_protein: nutrients.protein,
+    nf_total_carbohydrate: nutrients.carbs,
+    nf_total_fat: nutrients.fat,
+    nf_dietary_fiber: nutrients.fiber,
+    nf_sugars: nutrients.sugar,
+    nf_saturated_fat: nutrients.saturatedFat,
+    nf_sodium: nutrients.sodium,
+    nf_cholesterol: nutrients.cholesterol,
+    ...fields,
+  };
+};
+
+const app = express();
+app.use(express.json());
+
+// Simulated latency and outages
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.originalUrl}`);
+
+  setTimeout(() => {
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      return res.status(503).json({ message: "Service unavailable (mock)" });
+    }
+    next();
+  }, DELAY_MS);
+});
+
+app.post("/v2/natural/nutrients", (req, res) => {
+  const { entries } = parseFoodText(req.body.query, findFoodAt);
+
+  if (entries.length === 0) {
+    return res
+      .status(404)
+      .json({ message: "We couldn't match any of your foods" });
+  }
+
+  const foods = entries.map(({ food, quantity, unit }) => {
+    const portion = portionToGrams(food, quantity, unit);
+
+    return toNutritionixFood(food, portion.grams, {
+      serving_qty: quantity === null ? 1 : quantity,
+      serving_unit: portion.unit,
+    });
+  });
+
+  res.json({ foods });
+});
+
+app.get("/v2/search/item", (req, res) => {
+  const product = PRODUCTS[String(req.query.upc).replace(/^0+(?=\d{12})/, "")];
+  const food =
+    product &&
+    seedFoods.find(
+      (seed) =>
+        seed.name === product.name || seed.aliases.includes(product.name)
+    );
+
+  if (!food) {
+    return res.status(404).json({ message: "Resource not found" });
+  }
+
+  res.json({
+    foods: [
+      toNutritionixFood(toCatalogFood(food), product.grams, {
+        food_name: product.name,
+        brand_name: product.brand,
+        serving_qty: 1,
+        serving_unit: "serving",
+      }),
+    ],
+  });
+});
+
+app.listen(PORT, () =>
+  console.log(`Mock nutrition API running on http://localhost:${PORT}`)
+);
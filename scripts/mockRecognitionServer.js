@@ -0,0 +1,63 @@
+// scripts/mockRecognitionServer.js - Local stand-in for the Clarifai food model
+// Usage: node scripts/mockRecognitionServer.js
+// Then run the API with IMAGE_RECOGNITION_PROVIDER=mock (and
+// IMAGE_RECOGNITION_MOCK_URL if the port differs). Every image is recognized
+// as the same foods.
+//   MOCK_RECOGNITION_PORT        - Port to listen on (default 5091)
+//   MOCK_RECOGNITION_CONCEPTS    - Foods returned, as name:confidence pairs
+//                                  (default "pizza:0.93,salad:0.71,bread:0.18")
+//   MOCK_RECOGNITION_DELAY_MS    - Delay before every response (to test timeouts)
+//   MOCK_RECOGNITION_FAIL_FIRST  - Answer the first N requests with 503 (to test retries)
+const express = require("express");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const PORT = parseInt(process.env.MOCK_RECOGNITION_PORT, 10) || 5091;
+const DELAY_MS = parseInt(process.env.MOCK_RECOGNITION_DELAY_MS, 10) || 0;
+let failuresLeft = parseInt(process.env.MOCK_RECOGNITION_FAIL_FIRST, 10) || 0;
+
+const CONCEPTS = (
+  process.env.MOCK_RECOGNITION_CONCEPTS || "pizza:0.93,salad:0.71,bread:0.18"
+)
+  .split(",")
+  .map((pair) => {
+    const [name, value] = pair.split(":");
+    return { id: name.trim(), name: name.trim(), value: parseFloat(value) };
+  });
+
+const app = express();
+app.use(express.json({ limit: "20mb" }));
+
+// Simulated latency and outages
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.originalUrl}`);
+
+  setTimeout(() => {
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      return res.status(503).json({ status: { description: "Mock outage" } });
+    }
+    next();
+  }, DELAY_MS);
+});
+
+app.post("/v2/users/:user/apps/:app/models/:model/outputs", (req, res) => {
+  const input = req.body.inputs && req.body.inputs[0];
+  const image = input && input.data && input.data.image;
+
+  if (!image || !image.base64) {
+    return res
+      .status(400)
+      .json({ status: { description: "Missing image data" } });
+  }
+
+  res.json({
+    status: { code: 10000, description: "Ok" },
+    outputs: [{ data: { concepts: CONCEPTS } }],
+  });
+});
+
+app.listen(PORT, () =>
+  console.log(`Mock recognition API running on http://localhost:${PORT}`)
+);
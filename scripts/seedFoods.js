@@ -0,0 +1,24 @@
+// scripts/seedFoods.js - Insert or update the bundled food catalog
+// Usage: node scripts/seedFoods.js
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const { seedFoodCatalog } = require("../utils/foodCatalog");
+
+const run = async () => {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/niblet"
+  );
+
+  const count = await seedFoodCatalog();
+
+  console.log(`Seeded ${count} foods`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+// scripts/setUserRole.js - Set a user's role from the command line
+// Usage: node scripts/setUserRole.js <email> <user|coach|admin>
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const User = require("../models/User");
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !User.schema.path("role").enumValues.includes(role)) {
+    console.error(
+      "Usage: node scripts/setUserRole.js <email> <user|coach|admin>"
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/niblet"
+  );
+
+  const user = await User.findOneAndUpdate({ email }, { role }, { new: true });
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exit(1);
+  }
+
+  console.log(`${user.email} is now ${user.role}`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -5,6 +5,7 @@ const mongoose = require("mongoose");
 const path = require("path");
 const dotenv = require("dotenv");
 const morgan = require("morgan");
+const cookieParser = require("cookie-parser");
 const fs = require("fs");
 
 // Load environment variables
@@ -16,7 +17,18 @@ const app = express();
 // Connect to MongoDB
 mongoose
   .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/niblet")
-  .then(() => console.log("MongoDB Connected"))
+  .then(() => {
+    console.log("MongoDB Connected");
+
+    // Purge accounts whose deletion grace period has ended
+    require("./utils/accountDeletion").schedulePurge();
+
+    // Delete stored images no meal uses
+    require("./utils/imageCleanup").scheduleImageSweep();
+
+    // Load the bundled foods into an empty catalog
+    require("./utils/foodCatalog").seedIfEmpty();
+  })
   .catch((err) => {
     console.error("MongoDB Connection Error:", err);
     process.exit(1);
@@ -85,6 +97,7 @@ app.use(
 
 // Middleware
 app.use(express.json());
+app.use(cookieParser());
 app.use(
   cors({
     origin:
@@ -106,6 +119,12 @@ app.use("/api/users", require("./routes/users.routes"));
 app.use("/api/meals", require("./routes/meals.routes"));
 app.use("/api/weight", require("./routes/weight.routes"));
 app.use("/api/goals", require("./routes/goals.routes"));
+app.use("/api/foods", require("./routes/foods.routes"));
+app.use("/api/recipes", require("./routes/recipes.routes"));
+app.use("/api/tokens", require("./routes/apiTokens.routes"));
+app.use("/api/admin", require("./routes/admin.routes"));
+app.use("/api/access", require("./routes/access.routes"));
+app.use("/api/uploads", require("./routes/uploads.routes"));
 
 // Error handling middleware
 app.use(require("./middleware/error.middleware"));
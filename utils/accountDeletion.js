@@ -0,0 +1,102 @@
+// utils/accountDeletion.js - Hard deletion of accounts and their data
+const User = require("../models/User");
+const Goal = require("../models/Goal");
+const Meal = require("../models/Meal");
+const Weight = require("../models/Weight");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
+const AccessGrant = require("../models/AccessGrant");
+const Food = require("../models/Food");
+const Recipe = require("../models/Recipe");
+const MealTemplate = require("../models/MealTemplate");
+const AuditEvent = require("../models/AuditEvent");
+const { deleteImage } = require("./imageProcessing");
+const logger = require("./logger");
+
+/**
+ * Permanently delete a user and everything that belongs to them
+ * @param {string} userId - User ID
+ */
+const purgeUser = async (userId) => {
+  // Remove stored meal images first so nothing is orphaned
+  const mealsWithImages = await Meal.find({
+    user: userId,
+    "image.publicId": { $exists: true },
+  }).select("image");
+
+  for (const meal of mealsWithImages) {
+    try {
+      await deleteImage(meal.image);
+    } catch (err) {
+      logger.error("Could not delete meal image during account deletion", {
+        userId: userId.toString(),
+        publicId: meal.image.publicId,
+        error: err.message,
+      });
+    }
+  }
+
+  await Promise.all([
+    Meal.deleteMany({ user: userId }),
+    Weight.deleteMany({ user: userId }),
+    Goal.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    ApiToken.deleteMany({ user: userId }),
+    AccessGrant.deleteMany({ $or: [{ owner: userId }, { grantee: userId }] }),
+    Food.deleteMany({ owner: userId }),
+    Recipe.deleteMany({ user: userId }),
+    MealTemplate.deleteMany({ user: userId }),
+    // The account's own history goes; actions on other accounts stay in their
+    // history without identifying who performed them
+    AuditEvent.deleteMany({ subject: userId }),
+    AuditEvent.updateMany(
+      { actor: userId, subject: { $ne: userId } },
+      { $unset: { actor: 1, ip: 1, userAgent: 1 } }
+    ),
+  ]);
+
+  await User.deleteOne({ _id: userId });
+
+  logger.info("Account permanently deleted", { userId: userId.toString() });
+};
+
+/**
+ * Delete every account whose grace period has ended
+ * @returns {number} - Number of accounts deleted
+ */
+const purgeDueAccounts = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $lte: Date.now() },
+  }).select("_id");
+
+  for (const user of users) {
+    await purgeUser(user._id);
+  }
+
+  return users.length;
+};
+
+/**
+ * Periodically delete accounts whose grace period has ended
+ * @param {number} intervalMs - How often to check
+ * @returns {Object} - Interval handle
+ */
+const schedulePurge = (intervalMs = 60 * 60 * 1000) => {
+  const run = () =>
+    purgeDueAccounts().catch((err) =>
+      logger.error("Scheduled account deletion failed", {
+        error: err.message,
+      })
+    );
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  purgeUser,
+  purgeDueAccounts,
+  schedulePurge,
+};
@@ -0,0 +1,41 @@
+// utils/audit.js - Records audit events for security-relevant actions
+const AuditEvent = require("../models/AuditEvent");
+const logger = require("./logger");
+
+/**
+ * Record an audit event for a request
+ * Failures are logged but never interrupt the request.
+ * @param {Object} req - Express request
+ * @param {Object} event - Event details
+ * @param {string} event.action - Event name, e.g. "admin.user.disable"
+ * @param {string} event.subject - ID of the affected user (defaults to the actor)
+ * @param {string} event.actor - ID of the acting user (defaults to req.user)
+ * @param {string} event.outcome - "success" or "failure"
+ * @param {Object} event.metadata - Extra details
+ * @returns {Object|null} - The saved event, or null if it couldn't be saved
+ */
+exports.recordAuditEvent = async (
+  req,
+  { action, subject, actor, outcome = "success", metadata }
+) => {
+  const actorId = actor || (req.user ? req.user._id : undefined);
+
+  try {
+    return await AuditEvent.create({
+      action,
+      actor: actorId,
+      subject: subject || actorId,
+      outcome,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+      requestId: req.requestId,
+      metadata,
+    });
+  } catch (err) {
+    logger.error("Could not record audit event", {
+      action,
+      error: err.message,
+    });
+    return null;
+  }
+};
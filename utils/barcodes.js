@@ -0,0 +1,37 @@
+// utils/barcodes.js - Barcode normalization for packaged food lookup
+
+/**
+ * Normalize a scanned barcode to its digits
+ * Accepts EAN-8, UPC-A (12), EAN-13 and GTIN-14 codes, with spaces or dashes.
+ * @param {string} code - Scanned or typed barcode
+ * @returns {string|null} - Digits, or null if it isn't a barcode
+ */
+const normalizeBarcode = (code) => {
+  const digits = String(code || "").replace(/[\s-]/g, "");
+
+  return /^(\d{8}|\d{12,14})$/.test(digits) ? digits : null;
+};
+
+/**
+ * Equivalent forms of a barcode for lookup
+ * A UPC-A code is the same product as the EAN-13 and GTIN-14 codes padded
+ * with leading zeros, and databases store whichever form they were given.
+ * @param {string} code - Normalized barcode
+ * @returns {Array} - Codes to match
+ */
+const barcodeVariants = (code) => {
+  if (code.length === 8) {
+    return [code];
+  }
+
+  const core = code.replace(/^0+/, "");
+
+  return [12, 13, 14]
+    .filter((length) => core.length <= length)
+    .map((length) => core.padStart(length, "0"));
+};
+
+module.exports = {
+  normalizeBarcode,
+  barcodeVariants,
+};
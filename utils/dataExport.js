@@ -0,0 +1,254 @@
+// utils/dataExport.js - Builds a user's personal-data export archive
+const archiver = require("archiver");
+const User = require("../models/User");
+const Goal = require("../models/Goal");
+const Meal = require("../models/Meal");
+const Weight = require("../models/Weight");
+const Food = require("../models/Food");
+const Recipe = require("../models/Recipe");
+const MealTemplate = require("../models/MealTemplate");
+const { NUTRIENT_KEYS } = require("./nutrients");
+
+/**
+ * CSV columns for every tracked nutrient
+ * @param {Function} getValues - Row -> object holding the nutrients
+ * @param {string} [suffix] - Column name suffix ("Per100g")
+ * @returns {Array} - [header, getter] pairs
+ */
+const nutrientColumns = (getValues, suffix = "") =>
+  NUTRIENT_KEYS.map((key) => [
+    `${key}${suffix}`,
+    (row) => {
+      const values = getValues(row);
+      return values && values[key];
+    },
+  ]);
+
+/**
+ * Collect everything we store about a user
+ * @param {string} userId - User ID
+ * @returns {Object} - Export data
+ */
+exports.buildUserExport = async (userId) => {
+  const [
+    user,
+    goals,
+    meals,
+    weightEntries,
+    customFoods,
+    recipes,
+    mealTemplates,
+  ] = await Promise.all([
+    User.findById(userId).lean(),
+    Goal.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Meal.find({ user: userId }).sort({ date: 1 }).lean(),
+    Weight.find({ user: userId }).sort({ date: 1 }).lean(),
+    Food.find({ owner: userId }).sort({ name: 1 }).lean(),
+    Recipe.find({ user: userId }).sort({ name: 1 }).lean(),
+    MealTemplate.find({ user: userId }).sort({ name: 1 }).lean(),
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: user._id,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      name: user.name,
+      profile: user.profile,
+      preferences: user.preferences,
+      onboardingCompleted: user.onboardingCompleted,
+      twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+      createdAt: user.createdAt,
+    },
+    goals,
+    meals,
+    weightEntries,
+    customFoods,
+    recipes,
+    mealTemplates,
+    images: meals
+      .filter((meal) => meal.image && meal.image.url)
+      .map((meal) => ({
+        mealId: meal._id,
+        url: meal.image.url,
+        publicId: meal.image.publicId,
+        thumbnailUrl: meal.image.thumbnailUrl,
+      })),
+  };
+};
+
+/**
+ * Format a single CSV value
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const formatCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert rows to CSV
+ * @param {Array} rows - Row objects
+ * @param {Array} columns - [header, getter] pairs
+ * @returns {string} - CSV text
+ */
+const toCsv = (rows, columns) => {
+  const header = columns.map(([name]) => name).join(",");
+  const lines = rows.map((row) =>
+    columns.map(([, get]) => formatCsvValue(get(row))).join(",")
+  );
+
+  return [header, ...lines].join("\r\n") + "\r\n";
+};
+
+/**
+ * Build the CSV files included in the archive
+ * @param {Object} data - Export data from buildUserExport
+ * @returns {Object} - Map of filename to CSV text
+ */
+const buildCsvFiles = (data) => {
+  const { profile } = data;
+
+  const mealItems = data.meals.flatMap((meal) =>
+    (meal.items || []).map((item) => ({ mealId: meal._id, ...item }))
+  );
+
+  return {
+    "profile.csv": toCsv(
+      [profile],
+      [
+        ["email", (p) => p.email],
+        ["name", (p) => p.name],
+        ["height", (p) => p.profile && p.profile.height],
+        ["weight", (p) => p.profile && p.profile.weight],
+        ["age", (p) => p.profile && p.profile.age],
+        ["gender", (p) => p.profile && p.profile.gender],
+        ["activityLevel", (p) => p.profile && p.profile.activityLevel],
+        ["darkMode", (p) => p.preferences && p.preferences.darkMode],
+        ["mealReminders", (p) => p.preferences && p.preferences.mealReminders],
+        ["units", (p) => p.preferences && p.preferences.units],
+        ["createdAt", (p) => p.createdAt],
+      ]
+    ),
+    "goals.csv": toCsv(data.goals, [
+      ["id", (g) => g._id],
+      ["type", (g) => g.type],
+      ["currentWeight", (g) => g.currentWeight],
+      ["goalWeight", (g) => g.goalWeight],
+      ["targetDate", (g) => g.targetDate],
+      ["weeklyWeightChange", (g) => g.weeklyWeightChange],
+      ["dailyCalories", (g) => g.nutrition && g.nutrition.dailyCalories],
+      ...nutrientColumns((g) => g.nutrition),
+      ["caloriesLimit", (g) => g.limits && g.limits.calories],
+      ...nutrientColumns((g) => g.limits, "Limit"),
+      ["createdAt", (g) => g.createdAt],
+    ]),
+    "meals.csv": toCsv(data.meals, [
+      ["id", (m) => m._id],
+      ["date", (m) => m.date],
+      ["mealType", (m) => m.mealType],
+      ["description", (m) => m.description],
+      ["calories", (m) => m.calories],
+      ...nutrientColumns((m) => m.nutrition),
+      ["entryMethod", (m) => m.entryMethod],
+      ["manualTotals", (m) => m.manualTotals],
+      ["totalsMismatch", (m) => m.totalsMismatch],
+      ["estimationMethod", (m) => m.estimation && m.estimation.method],
+      ["estimationConfidence", (m) => m.estimation && m.estimation.confidence],
+      ["originalText", (m) => m.originalText],
+      ["imageUrl", (m) => m.image && m.image.url],
+      ["createdAt", (m) => m.createdAt],
+    ]),
+    "meal_items.csv": toCsv(mealItems, [
+      ["mealId", (i) => i.mealId],
+      ["name", (i) => i.name],
+      ["quantity", (i) => i.quantity],
+      ["unit", (i) => i.unit],
+      ["grams", (i) => i.grams],
+      ["calories", (i) => i.calories],
+      ...nutrientColumns((i) => i),
+      ["confidence", (i) => i.confidence],
+    ]),
+    "weight.csv": toCsv(data.weightEntries, [
+      ["id", (w) => w._id],
+      ["date", (w) => w.date],
+      ["weight", (w) => w.weight],
+      ["unit", (w) => w.unit],
+      ["notes", (w) => w.notes],
+      ["createdAt", (w) => w.createdAt],
+    ]),
+    "custom_foods.csv": toCsv(data.customFoods, [
+      ["id", (f) => f._id],
+      ["name", (f) => f.name],
+      ["brand", (f) => f.brand],
+      ["barcode", (f) => f.barcode],
+      ["caloriesPer100g", (f) => f.calories],
+      ...nutrientColumns((f) => f, "Per100g"),
+      [
+        "servings",
+        (f) =>
+          (f.servings || []).map((s) => `${s.unit}=${s.grams}g`).join("; "),
+      ],
+      ["createdAt", (f) => f.createdAt],
+    ]),
+    "recipes.csv": toCsv(data.recipes, [
+      ["id", (r) => r._id],
+      ["name", (r) => r.name],
+      ["servings", (r) => r.servings],
+      [
+        "ingredients",
+        (r) =>
+          (r.ingredients || [])
+            .map((i) => `${i.quantity} ${i.unit || ""} ${i.name}`.trim())
+            .join("; "),
+      ],
+      ["caloriesPerServing", (r) => r.perServing && r.perServing.calories],
+      ...nutrientColumns((r) => r.perServing, "PerServing"),
+      ["createdAt", (r) => r.createdAt],
+    ]),
+    "meal_templates.csv": toCsv(data.mealTemplates, [
+      ["id", (t) => t._id],
+      ["name", (t) => t.name],
+      ["mealType", (t) => t.mealType],
+      ["description", (t) => t.description],
+      ["calories", (t) => t.calories],
+      ...nutrientColumns((t) => t.nutrition),
+      ["useCount", (t) => t.useCount],
+      ["createdAt", (t) => t.createdAt],
+    ]),
+    "images.csv": toCsv(data.images, [
+      ["mealId", (i) => i.mealId],
+      ["url", (i) => i.url],
+      ["publicId", (i) => i.publicId],
+      ["thumbnailUrl", (i) => i.thumbnailUrl],
+    ]),
+  };
+};
+
+/**
+ * Stream the export as a zip archive (data.json plus one CSV per dataset)
+ * @param {Object} data - Export data from buildUserExport
+ * @param {Object} stream - Writable stream (e.g. the response)
+ * @returns {Promise} - Resolves once the archive is finalized
+ */
+exports.writeExportArchive = (data, stream) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+
+  archive.pipe(stream);
+  archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+
+  Object.entries(buildCsvFiles(data)).forEach(([name, csv]) => {
+    archive.append(csv, { name });
+  });
+
+  return archive.finalize();
+};
+
+exports.toCsv = toCsv;
@@ -0,0 +1,74 @@
+// utils/dateRange.js - Day boundary helpers for date-filtered queries
+
+/**
+ * Start of the day (00:00:00.000) for a date
+ * @param {Date|string|number} date - Any value accepted by Date
+ * @returns {Date} - Start of that day
+ */
+const startOfDay = (date) => new Date(new Date(date).setHours(0, 0, 0, 0));
+
+/**
+ * End of the day (23:59:59.999) for a date
+ * @param {Date|string|number} date - Any value accepted by Date
+ * @returns {Date} - End of that day
+ */
+const endOfDay = (date) => new Date(new Date(date).setHours(23, 59, 59, 999));
+
+/**
+ * Range covering a whole day
+ * @param {Date|string|number} date - Any value accepted by Date
+ * @returns {Object} - { startDate, endDate }
+ */
+const getDayRange = (date) => ({
+  startDate: startOfDay(date),
+  endDate: endOfDay(date),
+});
+
+/**
+ * Range from the start of one day to the end of another
+ * @param {Date|string|number} start - First day
+ * @param {Date|string|number} end - Last day
+ * @returns {Object} - { startDate, endDate }
+ */
+const getDateRange = (start, end) => ({
+  startDate: startOfDay(start),
+  endDate: endOfDay(end),
+});
+
+/**
+ * Start of each day from one date to another (inclusive)
+ * @param {Date|string|number} start - First day
+ * @param {Date|string|number} end - Last day
+ * @returns {Array} - Dates at the start of each day
+ */
+const eachDay = (start, end) => {
+  const days = [];
+  const last = startOfDay(end);
+
+  for (
+    let day = startOfDay(start);
+    day <= last;
+    day.setDate(day.getDate() + 1)
+  ) {
+    days.push(new Date(day));
+  }
+
+  return days;
+};
+
+/**
+ * Whether a value parses to a valid date
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isValidDate = (value) =>
+  value !== undefined && value !== null && !isNaN(new Date(value).getTime());
+
+module.exports = {
+  startOfDay,
+  endOfDay,
+  getDayRange,
+  getDateRange,
+  eachDay,
+  isValidDate,
+};
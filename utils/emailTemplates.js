@@ -0,0 +1,130 @@
+// utils/emailTemplates.js - Templates for transactional emails
+/**
+ * Each template takes a data object and returns { subject, text, html }
+ */
+
+// Escape values interpolated into HTML
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Wrap template content in a minimal HTML layout
+const layout = (content) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #333; line-height: 1.5;">
+    ${content}
+    <p style="color: #999; font-size: 12px;">Niblet - calorie tracking made simple</p>
+  </body>
+</html>`;
+
+// Greeting with the user's name when we have one
+const greeting = (name) => (name ? `Hi ${name},` : "Hi,");
+
+const templates = {
+  passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: "Reset your Niblet password",
+    text: `${greeting(name)}
+
+We received a request to reset your password. Open the link below to choose a new one:
+
+${resetUrl}
+
+This link expires in ${expiresInMinutes} minutes. If you didn't request a reset, you can ignore this email.`,
+    html: layout(`
+    <p>${escapeHtml(greeting(name))}</p>
+    <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+    <p><a href="${escapeHtml(resetUrl)}">Reset my password</a></p>
+    <p>This link expires in ${Number(expiresInMinutes)} minutes.</p>
+    <p>If you didn't request a reset, you can ignore this email.</p>`),
+  }),
+
+  emailVerification: ({ name, verificationUrl }) => ({
+    subject: "Verify your Niblet email address",
+    text: `${greeting(name)}
+
+Please confirm your email address by opening the link below:
+
+${verificationUrl}
+
+If you didn't create a Niblet account, you can ignore this email.`,
+    html: layout(`
+    <p>${escapeHtml(greeting(name))}</p>
+    <p>Please confirm your email address by clicking the link below:</p>
+    <p><a href="${escapeHtml(verificationUrl)}">Verify my email</a></p>
+    <p>If you didn't create a Niblet account, you can ignore this email.</p>`),
+  }),
+
+  accountLocked: ({ name, resetUrl, lockMinutes }) => ({
+    subject: "Your Niblet account has been locked",
+    text: `${greeting(name)}
+
+We locked your account for ${lockMinutes} minutes after several failed sign-in attempts.
+
+If this was you, you can wait and try again, or unlock your account now by resetting your password:
+
+${resetUrl}
+
+If this wasn't you, we recommend resetting your password right away.`,
+    html: layout(`
+    <p>${escapeHtml(greeting(name))}</p>
+    <p>We locked your account for ${Number(
+      lockMinutes
+    )} minutes after several failed sign-in attempts.</p>
+    <p>If this was you, you can wait and try again, or unlock your account now by resetting your password:</p>
+    <p><a href="${escapeHtml(resetUrl)}">Reset my password</a></p>
+    <p>If this wasn't you, we recommend resetting your password right away.</p>`),
+  }),
+
+  accountDeletionScheduled: ({ name, deletionDate, appUrl }) => ({
+    subject: "Your Niblet account is scheduled for deletion",
+    text: `${greeting(name)}
+
+As requested, your account and all of its data will be permanently deleted on ${deletionDate}.
+
+Changed your mind? Sign in at ${appUrl} before then and cancel the deletion from your account settings.`,
+    html: layout(`
+    <p>${escapeHtml(greeting(name))}</p>
+    <p>As requested, your account and all of its data will be permanently deleted on ${escapeHtml(
+      deletionDate
+    )}.</p>
+    <p>Changed your mind? <a href="${escapeHtml(
+      appUrl
+    )}">Sign in</a> before then and cancel the deletion from your account settings.</p>`),
+  }),
+
+  accessInvitation: ({ ownerName, permission, areas, appUrl }) => ({
+    subject: `${ownerName} shared their Niblet diary with you`,
+    text: `Hi,
+
+${ownerName} invited you to ${
+      permission === "comment" ? "view and comment on" : "view"
+    } their ${areas.join(", ")}.
+
+Sign in or create a Niblet account with this email address to accept: ${appUrl}`,
+    html: layout(`
+    <p>Hi,</p>
+    <p>${escapeHtml(ownerName)} invited you to ${
+      permission === "comment" ? "view and comment on" : "view"
+    } their ${escapeHtml(areas.join(", "))}.</p>
+    <p><a href="${escapeHtml(
+      appUrl
+    )}">Sign in or create an account</a> with this email address to accept.</p>`),
+  }),
+
+  welcome: ({ name, appUrl }) => ({
+    subject: "Welcome to Niblet",
+    text: `${greeting(name)}
+
+Your email is verified and your account is ready. Start logging your meals at ${appUrl}.`,
+    html: layout(`
+    <p>${escapeHtml(greeting(name))}</p>
+    <p>Your email is verified and your account is ready.</p>
+    <p><a href="${escapeHtml(appUrl)}">Start logging your meals</a></p>`),
+  }),
+};
+
+module.exports = templates;
@@ -0,0 +1,243 @@
+// utils/foodCatalog.js - Cached food catalog used for text analysis and item lookup
+const Food = require("../models/Food");
+const logger = require("./logger");
+const { tokenize, singularize } = require("./foodParser");
+const { NUTRIENT_KEYS } = require("./nutrients");
+const seedFoods = require("../config/foods.json");
+
+// How long the in-memory catalog is reused before reloading
+const CACHE_SECONDS =
+  parseInt(process.env.FOOD_CATALOG_CACHE_SECONDS, 10) || 300;
+
+let cache = null;
+
+/**
+ * Convert a food document into the shape used for nutrition math
+ * @param {Object} food - Food document or plain object
+ * @returns {Object} - { _id, name, calories, protein, carbs, ..., servings: { unit: grams }, defaultUnit }
+ */
+const toCatalogFood = (food) => ({
+  _id: food._id,
+  name: food.name,
+  brand: food.brand,
+  calories: food.calories,
+  ...Object.fromEntries(NUTRIENT_KEYS.map((key) => [key, food[key] || 0])),
+  servings: Object.fromEntries(
+    (food.servings || []).map((serving) => [serving.unit, serving.grams])
+  ),
+  defaultUnit: food.defaultUnit || "serving",
+});
+
+/**
+ * Normalize a food name into singular words joined by spaces
+ * @param {string} name - Food name or alias
+ * @returns {string} - Normalized name
+ */
+const normalizeName = (name) =>
+  tokenize(String(name || ""))
+    .map(singularize)
+    .join(" ");
+
+/**
+ * Build a name index and matcher over a list of foods
+ * Earlier foods win when two share a name or alias.
+ * @param {Array} foods - Catalog foods (see toCatalogFood)
+ * @returns {Object} - { foods, findFoodAt, findFoodByName }
+ */
+const buildMatcher = (foods) => {
+  const index = new Map();
+
+  foods.forEach((food) => {
+    [food.name, ...(food.aliases || [])].forEach((name) => {
+      const key = normalizeName(name);
+      if (key && !index.has(key)) {
+        index.set(key, food);
+      }
+    });
+  });
+
+  const maxNameLength = Math.max(
+    1,
+    ...[...index.keys()].map((name) => name.split(" ").length)
+  );
+
+  // Longest food name starting at a word position
+  const findFoodAt = (words, position) => {
+    for (let length = maxNameLength; length > 0; length--) {
+      if (position + length > words.length) continue;
+
+      const food = index.get(
+        words.slice(position, position + length).join(" ")
+      );
+      if (food) {
+        return { food, length };
+      }
+    }
+
+    return null;
+  };
+
+  return withNameLookup({ foods, findFoodAt });
+};
+
+/**
+ * Add findFoodByName to a matcher: the first food mentioned in an item name
+ * ("grilled chicken breast")
+ * @param {Object} matcher - { foods, findFoodAt }
+ * @returns {Object} - Matcher with findFoodByName
+ */
+const withNameLookup = (matcher) => ({
+  ...matcher,
+  findFoodByName: (name) => {
+    const words = tokenize(String(name || "")).map(singularize);
+
+    for (let position = 0; position < words.length; position++) {
+      const match = matcher.findFoodAt(words, position);
+      if (match) return match.food;
+    }
+
+    return null;
+  },
+});
+
+/**
+ * Combine a user's matcher with the global one
+ * The longer match wins; on a tie the user's food is preferred.
+ * @param {Object} preferred - Matcher over the user's custom foods
+ * @param {Object} fallback - Matcher over the global catalog
+ * @returns {Object} - Combined matcher
+ */
+const combineMatchers = (preferred, fallback) =>
+  withNameLookup({
+    foods: [...preferred.foods, ...fallback.foods],
+    findFoodAt: (words, position) => {
+      const own = preferred.findFoodAt(words, position);
+      const global = fallback.findFoodAt(words, position);
+
+      if (own && (!global || own.length >= global.length)) return own;
+      return global;
+    },
+  });
+
+/**
+ * Get the global catalog matcher, loading foods from the database when the
+ * cache is empty or stale. Falls back to the bundled seed list if the
+ * collection is empty. Packaged (barcoded) products are left out: they are
+ * found by search and barcode, and an imported product database is too big
+ * to hold in memory.
+ * @returns {Promise<Object>} - Matcher (see buildMatcher)
+ */
+const getGlobalCatalog = async () => {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.matcher;
+  }
+
+  let foods = await Food.find({ owner: null, barcode: { $exists: false } })
+    .sort({ popularity: -1 })
+    .lean();
+
+  if (foods.length === 0) {
+    foods = seedFoods;
+  }
+
+  const matcher = buildMatcher(
+    foods.map((food) => ({ ...toCatalogFood(food), aliases: food.aliases }))
+  );
+
+  cache = { matcher, expiresAt: Date.now() + CACHE_SECONDS * 1000 };
+
+  return matcher;
+};
+
+/**
+ * Get the catalog matcher for a user: their custom foods take precedence
+ * over the global catalog
+ * @param {string} [userId] - User whose custom foods to include
+ * @returns {Promise<Object>} - Matcher (see buildMatcher)
+ */
+exports.getCatalog = async (userId) => {
+  const globalCatalog = await getGlobalCatalog();
+
+  if (!userId) {
+    return globalCatalog;
+  }
+
+  const customFoods = await Food.find({ owner: userId }).lean();
+
+  if (customFoods.length === 0) {
+    return globalCatalog;
+  }
+
+  return combineMatchers(
+    buildMatcher(
+      customFoods.map((food) => ({
+        ...toCatalogFood(food),
+        aliases: food.aliases,
+      }))
+    ),
+    globalCatalog
+  );
+};
+
+/**
+ * Drop the cached catalog so the next lookup reloads it
+ */
+exports.invalidateCatalog = () => {
+  cache = null;
+};
+
+/**
+ * Insert or update the bundled foods (matched by name, global and without brand)
+ * @returns {Promise<number>} - Number of foods written
+ */
+exports.seedFoodCatalog = async () => {
+  for (const seed of seedFoods) {
+    const food =
+      (await Food.findOne({
+        name: seed.name,
+        brand: { $exists: false },
+        owner: null,
+      })) || new Food();
+
+    food.set(seed);
+    await food.save();
+  }
+
+  exports.invalidateCatalog();
+
+  return seedFoods.length;
+};
+
+/**
+ * Seed the catalog on startup if it has no foods yet
+ */
+exports.seedIfEmpty = async () => {
+  try {
+    if ((await Food.estimatedDocumentCount()) === 0) {
+      const count = await exports.seedFoodCatalog();
+      logger.info("Seeded food catalog", { count });
+    }
+  } catch (err) {
+    logger.error("Failed to seed food catalog", { error: err.message });
+  }
+};
+
+/**
+ * Count a use of each catalog food in a meal's items towards its popularity
+ * @param {Array} items - Meal items (with food ids where matched)
+ */
+exports.recordFoodUsage = async (items) => {
+  const ids = (items || []).map((item) => item.food).filter(Boolean);
+
+  if (ids.length === 0) return;
+
+  try {
+    await Food.updateMany({ _id: { $in: ids } }, { $inc: { popularity: 1 } });
+  } catch (err) {
+    logger.error("Failed to record food usage", { error: err.message });
+  }
+};
+
+exports.toCatalogFood = toCatalogFood;
+exports.buildMatcher = buildMatcher;
+exports.normalizeName = normalizeName;
@@ -0,0 +1,347 @@
+// utils/foodParser.js - Tokenizer and parser for free-text food descriptions
+/**
+ * Turns text like "2 cups of rice, 1/2 avocado and a couple of eggs" into
+ * entries of { quantity, unit, food } using a lookup function supplied by
+ * the caller, so the parser doesn't depend on where food data comes from.
+ */
+const { normalizeUnit } = require("./units");
+
+// Number words and the quantities they stand for
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  single: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  half: 0.5,
+  quarter: 0.25,
+  couple: 2,
+  pair: 2,
+  few: 3,
+  several: 3,
+  double: 2,
+  triple: 3,
+  dozen: 12,
+};
+
+// Unicode fraction characters
+const UNICODE_FRACTIONS = {
+  "½": 0.5,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "¼": 0.25,
+  "¾": 0.75,
+  "⅛": 0.125,
+};
+
+// Words that carry no meaning for food matching
+const FILLER_WORDS = new Set([
+  "i",
+  "had",
+  "have",
+  "ate",
+  "eat",
+  "eaten",
+  "drank",
+  "drink",
+  "some",
+  "of",
+  "the",
+  "my",
+  "for",
+  "on",
+  "in",
+  "x",
+  "about",
+  "around",
+  "approximately",
+  "roughly",
+  "just",
+  "today",
+  "breakfast",
+  "lunch",
+  "dinner",
+  "snack",
+]);
+
+// Separators between list items
+const SEGMENT_SEPARATOR = /\s*(?:,|;|\n|&|\+|\band\b|\bwith\b|\bplus\b)\s*/;
+
+// Separators that are never part of a food name
+const LIST_SEPARATOR = /\s*(?:,|;|\n|&|\+)\s*/;
+
+// Words that separate list items unless they are part of a food name
+// ("mac and cheese")
+const JOINING_WORDS = new Set(["and", "with", "plus"]);
+
+/**
+ * Reduce a word to its singular form (good enough for food names)
+ * @param {string} word - Lowercase word
+ * @returns {string} - Singular form
+ */
+const singularize = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.endsWith("oes")) return word.slice(0, -2);
+  if (/(ches|shes|sses|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+};
+
+/**
+ * Split text into lowercase tokens, keeping numbers, fractions and
+ * number-unit pairs like "150g" together
+ * @param {string} text - Segment text
+ * @returns {Array} - Tokens
+ */
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .replace(/(\d)\s*([½⅓⅔¼¾⅛])/g, "$1 $2")
+    .replace(/fl\.?\s+oz/g, "floz")
+    // Multipliers: "2x", "x2" and "2 × 3" become separate "x" tokens
+    .replace(/×/g, " x ")
+    .replace(/\b(\d+(?:\.\d+)?)x\b/g, "$1 x")
+    .replace(/\bx(\d)/g, "x $1")
+    .split(/[^a-z0-9./½⅓⅔¼¾⅛'-]+/)
+    .map((token) => token.replace(/^[-'.]+|[-'.]+$/g, ""))
+    .filter(Boolean);
+
+/**
+ * Parse a single numeric token ("2", "1.5", "1/2", "½")
+ * @param {string} token - Token
+ * @returns {number|null} - Value or null
+ */
+const parseNumber = (token) => {
+  if (/^\d+(\.\d+)?$/.test(token)) return parseFloat(token);
+  if (/^\.\d+$/.test(token)) return parseFloat(token);
+
+  const fraction = token.match(/^(\d+)\/(\d+)$/);
+  if (fraction && Number(fraction[2]) !== 0) {
+    return Number(fraction[1]) / Number(fraction[2]);
+  }
+
+  if (UNICODE_FRACTIONS[token] !== undefined) return UNICODE_FRACTIONS[token];
+
+  return null;
+};
+
+/**
+ * Read a quantity (and optional unit) starting at a token position
+ * Handles "2", "1 1/2", "1/2", "150g", "a couple of", "half a", "2 dozen",
+ * followed by an optional unit and "of".
+ * @param {Array} tokens - Tokens
+ * @param {number} start - Position to read from
+ * @returns {Object|null} - { quantity, unit, next } or null if no quantity
+ */
+const readQuantity = (tokens, start) => {
+  let i = start;
+  let quantity = null;
+  let unit = null;
+
+  const token = tokens[i];
+  if (token === undefined) return null;
+
+  // Number glued to a unit, e.g. "150g" or "8oz"
+  const glued = token.match(/^(\d+(?:\.\d+)?|\d+\/\d+)([a-z]+)$/);
+  if (glued && normalizeUnit(glued[2] === "floz" ? "oz" : glued[2])) {
+    quantity = parseNumber(glued[1]);
+    unit = normalizeUnit(glued[2] === "floz" ? "oz" : glued[2]);
+    i += 1;
+  } else if (parseNumber(token) !== null) {
+    quantity = parseNumber(token);
+    i += 1;
+
+    // Mixed numbers, e.g. "1 1/2"
+    const next = tokens[i] !== undefined ? parseNumber(tokens[i]) : null;
+    if (next !== null && next < 1 && Number.isInteger(quantity)) {
+      quantity += next;
+      i += 1;
+    }
+  } else if (NUMBER_WORDS[token] !== undefined) {
+    quantity = NUMBER_WORDS[token];
+    i += 1;
+
+    // "a couple", "a few", "a half", "a dozen"
+    if ((token === "a" || token === "an") && NUMBER_WORDS[tokens[i]]) {
+      quantity = NUMBER_WORDS[tokens[i]];
+      i += 1;
+    }
+
+    // "half a", "half an"
+    if (quantity === 0.5 && (tokens[i] === "a" || tokens[i] === "an")) {
+      i += 1;
+    }
+  } else {
+    return null;
+  }
+
+  // "2 dozen", "half dozen"
+  if (tokens[i] === "dozen") {
+    quantity *= 12;
+    i += 1;
+  }
+
+  if (!unit && tokens[i] === "floz") {
+    unit = "oz";
+    i += 1;
+  } else if (!unit && normalizeUnit(tokens[i])) {
+    unit = normalizeUnit(tokens[i]);
+    i += 1;
+  }
+
+  if (tokens[i] === "of") {
+    i += 1;
+  }
+
+  return { quantity, unit, next: i };
+};
+
+/**
+ * Split a meal description into list items ("eggs, toast and coffee")
+ * @param {string} text - Free-text meal description
+ * @returns {Array} - Lowercase, non-empty segments
+ */
+const splitSegments = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(SEGMENT_SEPARATOR)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+
+/**
+ * Parse food text into entries
+ * @param {string} text - Free-text meal description
+ * @param {Function} findFoodAt - (words, position) => { food, length } | null,
+ *   where words are singularized tokens; returns the longest food match
+ * @returns {Object} - { entries: [{ food, quantity, unit, text, match }],
+ *   unrecognized: [words] } (quantity and unit are null when the text doesn't
+ *   give them; text is the list item the food came from and match the
+ *   singularized words it was found by)
+ */
+const parseFoodText = (text, findFoodAt) => {
+  const entries = [];
+  const unrecognized = [];
+
+  // Joining words are read with the foods, so a food named with one is
+  // matched before the text is split there
+  String(text || "")
+    .toLowerCase()
+    .split(LIST_SEPARATOR)
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .forEach((segment) => {
+      const tokens = tokenize(segment);
+      const words = tokens.map(singularize);
+      let pending = null;
+      let repeat = false;
+      let previous = null;
+      let item = [];
+      let itemStart = 0;
+      let i = 0;
+
+      // Finish the list item ending before a position
+      const endItem = (end) => {
+        // A quantity after the last food belongs to it: "rice 200g", "toast x 2"
+        if (pending) {
+          if (previous && repeat && previous.quantity !== null) {
+            previous.quantity *= pending.quantity;
+          } else if (previous && previous.quantity === null) {
+            previous.quantity = pending.quantity;
+            previous.unit = pending.unit;
+          } else {
+            unrecognized.push(pending.text);
+          }
+        }
+
+        item.forEach((entry) => {
+          entry.text = tokens.slice(itemStart, end).join(" ");
+        });
+
+        pending = null;
+        repeat = false;
+        previous = null;
+        item = [];
+        itemStart = end + 1;
+      };
+
+      while (i < tokens.length) {
+        // "x" repeats a portion: "2 x toast", "2 x 150g chicken", "toast x 2"
+        if (tokens[i] === "x" && (pending || previous)) {
+          repeat = true;
+          i += 1;
+          continue;
+        }
+
+        // Quantities apply to the next food in the item
+        const quantity = readQuantity(tokens, i);
+        if (quantity) {
+          const text = tokens.slice(i, quantity.next).join(" ");
+
+          if (pending && repeat) {
+            pending = {
+              ...quantity,
+              quantity: pending.quantity * quantity.quantity,
+              text: `${pending.text} x ${text}`,
+            };
+            repeat = false;
+          } else {
+            pending = { ...quantity, text };
+          }
+          i = quantity.next;
+          continue;
+        }
+
+        const match = findFoodAt(words, i);
+        if (match) {
+          previous = {
+            food: match.food,
+            quantity: pending ? pending.quantity : null,
+            unit: pending ? pending.unit : null,
+            match: words.slice(i, i + match.length).join(" "),
+          };
+          entries.push(previous);
+          item.push(previous);
+          pending = null;
+          repeat = false;
+          i += match.length;
+          continue;
+        }
+
+        if (JOINING_WORDS.has(tokens[i])) {
+          endItem(i);
+          i += 1;
+          continue;
+        }
+
+        if (!FILLER_WORDS.has(tokens[i]) && !/^\d/.test(tokens[i])) {
+          unrecognized.push(tokens[i]);
+        }
+        i += 1;
+      }
+
+      endItem(tokens.length);
+    });
+
+  return { entries, unrecognized };
+};
+
+module.exports = {
+  parseFoodText,
+  splitSegments,
+  tokenize,
+  singularize,
+  readQuantity,
+};
@@ -0,0 +1,202 @@
+// utils/foodSearch.js - Food catalog search ranked by match, popularity and history
+const Food = require("../models/Food");
+const Meal = require("../models/Meal");
+const { tokenize, singularize } = require("./foodParser");
+const { normalizeName } = require("./foodCatalog");
+
+// How far back the user's own meals count towards ranking
+const HISTORY_DAYS = 90;
+
+// How many foods to load and score per search
+const CANDIDATE_LIMIT = 500;
+
+// Extra rank for the user's own custom foods
+const CUSTOM_FOOD_BOOST = 15;
+
+// Escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Levenshtein distance between two words
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Number of single-character edits
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Score how well query words match a food name (0 = no match)
+ * Exact names beat prefixes, which beat word prefixes, which beat typos.
+ * @param {Array} queryWords - Normalized query words
+ * @param {string} name - Food name or alias
+ * @returns {number} - Score between 0 and 100
+ */
+const scoreName = (queryWords, name) => {
+  const normalized = normalizeName(name);
+  const phrase = queryWords.join(" ");
+
+  if (normalized === phrase) return 100;
+  if (normalized.startsWith(phrase)) return 80;
+
+  const nameWords = normalized.split(" ");
+  let total = 0;
+
+  for (const word of queryWords) {
+    // Allow one typo in short words and two in longer ones
+    const allowedTypos = word.length < 4 ? 0 : word.length < 7 ? 1 : 2;
+    let best = 0;
+
+    for (const nameWord of nameWords) {
+      if (nameWord.startsWith(word)) {
+        best = Math.max(best, 60);
+        continue;
+      }
+
+      const distance = Math.min(
+        editDistance(word, nameWord),
+        editDistance(word, nameWord.slice(0, word.length))
+      );
+      if (distance <= allowedTypos) {
+        best = Math.max(best, 40 - distance * 10);
+      }
+    }
+
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return total / queryWords.length;
+};
+
+/**
+ * Count how often the user logged each food recently
+ * @param {ObjectId} userId - User id
+ * @returns {Promise<Map>} - Food id or lowercase item name -> count
+ */
+const getHistoryCounts = async (userId) => {
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const rows = await Meal.aggregate([
+    { $match: { user: userId, date: { $gte: since } } },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: { $ifNull: ["$items.food", { $toLower: "$items.name" }] },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [String(row._id), row.count]));
+};
+
+/**
+ * Search the food catalog
+ * Matches names and aliases by prefix, word prefix or close spelling, and
+ * ranks results by match quality, the user's custom foods, global popularity
+ * and how often the user logged the food. An empty query returns the
+ * top-ranked foods.
+ * @param {string} query - Search text
+ * @param {Object} options - { userId, limit }
+ * @returns {Promise<Array>} - Foods with a recentUses count
+ */
+exports.searchFoods = async (query, { userId, limit = 10 } = {}) => {
+  const queryWords = tokenize(String(query || "")).map(singularize);
+
+  // Pull candidates sharing a two-letter prefix with any query word
+  const termFilter = queryWords.length
+    ? {
+        searchTerms: {
+          $in: queryWords.map(
+            (word) => new RegExp(`^${escapeRegex(word.slice(0, 2))}`)
+          ),
+        },
+      }
+    : {};
+
+  // Names the query matches exactly, as typed and singularized
+  const typed = String(query || "")
+    .trim()
+    .toLowerCase();
+  const exactNames = [...new Set([typed, queryWords.join(" ")])];
+
+  // Global foods, plus the user's own custom foods (loaded separately so
+  // they are never crowded out by the candidate limit). Exact name and alias
+  // matches are loaded separately too, so thousands of packaged products
+  // sharing a prefix can't push out the plain food.
+  const [exactFoods, prefixFoods, customFoods, history] = await Promise.all([
+    queryWords.length
+      ? Food.find({
+          owner: null,
+          $or: [
+            { name: { $in: exactNames } },
+            { aliases: { $in: exactNames } },
+          ],
+        })
+          .limit(CANDIDATE_LIMIT)
+          .lean()
+      : [],
+    Food.find({ ...termFilter, owner: null })
+      .sort({ popularity: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean(),
+    userId ? Food.find({ ...termFilter, owner: userId }).lean() : [],
+    userId ? getHistoryCounts(userId) : new Map(),
+  ]);
+
+  const exactIds = new Set(exactFoods.map((food) => String(food._id)));
+  const candidates = [
+    ...customFoods,
+    ...exactFoods,
+    ...prefixFoods.filter((food) => !exactIds.has(String(food._id))),
+  ];
+
+  const ranked = candidates
+    .map((food) => {
+      const match = queryWords.length
+        ? Math.max(
+            ...[food.name, ...(food.aliases || [])].map((name) =>
+              scoreName(queryWords, name)
+            )
+          )
+        : 1;
+
+      const recentUses =
+        history.get(String(food._id)) || history.get(food.name) || 0;
+
+      const score =
+        match +
+        (food.owner ? CUSTOM_FOOD_BOOST : 0) +
+        Math.min(20, 5 * Math.log10(1 + (food.popularity || 0))) +
+        Math.min(30, 10 * Math.log2(1 + recentUses));
+
+      return { food, match, score, recentUses };
+    })
+    .filter((result) => result.match > 0)
+    .sort(
+      (a, b) => b.score - a.score || a.food.name.localeCompare(b.food.name)
+    );
+
+  return ranked
+    .slice(0, limit)
+    .map(({ food, recentUses }) => ({ ...food, recentUses }));
+};
+
+exports.editDistance = editDistance;
+exports.scoreName = scoreName;
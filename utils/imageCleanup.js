@@ -0,0 +1,82 @@
+// utils/imageCleanup.js - Removal of stored images no meal uses
+const Meal = require("../models/Meal");
+const { getStorage } = require("./imageProcessing");
+const logger = require("./logger");
+
+// Images younger than this are kept, so photos uploaded for review can
+// still be saved with their meal
+const GRACE_PERIOD_MS =
+  (parseFloat(process.env.IMAGE_SWEEP_GRACE_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Delete stored meal images that no meal references
+ * @param {Object} options - Sweep options
+ * @param {number} options.gracePeriodMs - Minimum age of deleted images
+ * @returns {number} - Number of images deleted
+ */
+const sweepOrphanedImages = async ({
+  gracePeriodMs = GRACE_PERIOD_MS,
+} = {}) => {
+  const storage = getStorage();
+  const cutoff = Date.now() - gracePeriodMs;
+  let deleted = 0;
+
+  for await (const page of storage.list("meals/")) {
+    const candidates = page
+      .filter((object) => object.createdAt < cutoff)
+      .map((object) => object.publicId);
+
+    if (candidates.length === 0) continue;
+
+    const [images, thumbnails] = await Promise.all(
+      ["image.publicId", "image.thumbnailPublicId"].map((field) =>
+        Meal.distinct(field, { [field]: { $in: candidates } })
+      )
+    );
+    const used = new Set([...images, ...thumbnails]);
+
+    for (const publicId of candidates) {
+      if (used.has(publicId)) continue;
+
+      try {
+        await storage.remove(publicId);
+        deleted += 1;
+      } catch (err) {
+        logger.error("Could not delete orphaned image", {
+          publicId,
+          error: err.message,
+        });
+      }
+    }
+  }
+
+  if (deleted > 0) {
+    logger.info("Orphaned images deleted", { count: deleted });
+  }
+
+  return deleted;
+};
+
+/**
+ * Periodically delete orphaned images
+ * @param {number} intervalMs - How often to sweep
+ * @returns {Object} - Interval handle
+ */
+const scheduleImageSweep = (intervalMs = 6 * 60 * 60 * 1000) => {
+  const run = () =>
+    sweepOrphanedImages().catch((err) =>
+      logger.error("Orphaned image sweep failed", {
+        error: err.message,
+      })
+    );
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  sweepOrphanedImages,
+  scheduleImageSweep,
+};
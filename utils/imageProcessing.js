@@ -1,171 +1,360 @@
 // utils/imageProcessing.js - Utility for processing and analyzing food images
-const cloudinary = require("cloudinary").v2;
 const fs = require("fs");
 const path = require("path");
-const { analyzeTextForCalories } = require("./nutritionAnalysis");
+const sharp = require("sharp");
+const { resolveMealItems, sumItems } = require("./nutritionAnalysis");
+const { pickNutrients } = require("./nutrients");
+const {
+  ClarifaiProvider,
+  MockRecognitionProvider,
+} = require("./imageRecognitionProviders");
+const {
+  LocalStorage,
+  CloudinaryStorage,
+  S3Storage,
+} = require("./storageBackends");
+const logger = require("./logger");
 const dotenv = require("dotenv");
 
 dotenv.config();
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME || "your_cloudinary_cloud_name",
-  api_key: process.env.CLOUDINARY_API_KEY || "your_cloudinary_api_key",
-  api_secret: process.env.CLOUDINARY_API_SECRET || "your_cloudinary_api_secret",
-});
+// Candidates less likely than this are dropped
+const MIN_CONFIDENCE =
+  parseFloat(process.env.IMAGE_RECOGNITION_MIN_CONFIDENCE) || 0.2;
+
+// Candidates at least this likely are pre-selected for review
+const SUGGEST_CONFIDENCE = 0.6;
+
+// Most candidates returned for review
+const MAX_CANDIDATES = 5;
+
+// Longest side of stored images, in pixels
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 1600;
+
+// Side of the square thumbnails shown in meal lists, in pixels
+const THUMBNAIL_SIZE = parseInt(process.env.IMAGE_THUMBNAIL_SIZE, 10) || 320;
+
+// Longest side of images sent for recognition, in pixels
+const RECOGNITION_DIMENSION = 800;
+
+// JPEG quality of stored and recognized images
+const JPEG_QUALITY = 82;
+
+// Largest image decoded, in pixels (a small compressed file can expand to a
+// huge bitmap)
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+let recognitionProvider;
+let storage = null;
 
 /**
- * Process and upload a food image
- * @param {Object} imageFile - The image file from the request
- * @returns {Object} - Image data including URL and nutrition info if available
+ * Create the image storage backend from configuration
+ * STORAGE_BACKEND can be "local", "cloudinary" or "s3" (the default is
+ * cloudinary when CLOUDINARY_API_KEY is set, otherwise local).
+ * @returns {Object} - Storage backend instance
  */
-exports.processAndUploadImage = async (imageFile) => {
-  try {
-    // Check if we have Cloudinary credentials
-    if (!process.env.CLOUDINARY_API_KEY) {
-      // Handle local storage for development
-      return handleLocalStorage(imageFile);
-    }
-
-    // Upload to Cloudinary
-    const uploadResult = await uploadToCloudinary(imageFile);
-
-    // Check if we have access to an image recognition API
-    if (process.env.FOOD_RECOGNITION_API_KEY) {
-      const nutritionData = await analyzeFoodImage(uploadResult.url);
-      return {
-        ...uploadResult,
-        nutritionData,
-      };
-    }
-
-    // If no image recognition API, return just the image data
-    return uploadResult;
-  } catch (error) {
-    console.error("Error processing image:", error);
-    throw error;
+const createStorage = () => {
+  const name =
+    process.env.STORAGE_BACKEND ||
+    (process.env.CLOUDINARY_API_KEY ? "cloudinary" : "local");
+
+  switch (name) {
+    case "local":
+      return new LocalStorage();
+    case "cloudinary":
+      return new CloudinaryStorage();
+    case "s3":
+      return new S3Storage();
+    default:
+      throw new Error(`Unknown storage backend: ${name}`);
   }
 };
 
 /**
- * Upload image to Cloudinary
- * @param {Object} imageFile - The image file
- * @returns {Object} - Upload result with URL and public ID
+ * Get the storage backend, creating it on first use
+ * @returns {Object} - Storage backend instance
  */
-const uploadToCloudinary = async (imageFile) => {
-  // For Express-fileupload
-  if (imageFile.tempFilePath) {
-    const result = await cloudinary.uploader.upload(imageFile.tempFilePath, {
-      folder: "tally/meals",
-    });
-
-    return {
-      url: result.secure_url,
-      publicId: result.public_id,
-    };
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
   }
+  return storage;
+};
 
-  // For Multer (file path is in imageFile.path)
-  if (imageFile.path) {
-    const result = await cloudinary.uploader.upload(imageFile.path, {
-      folder: "tally/meals",
-    });
+exports.getStorage = getStorage;
 
-    return {
-      url: result.secure_url,
-      publicId: result.public_id,
-    };
+/**
+ * Replace the storage backend (e.g. with a LocalStorage in tests)
+ * @param {Object} backend - Object implementing save, remove and list
+ */
+exports.setStorage = (backend) => {
+  storage = backend;
+};
+
+/**
+ * Create the recognition provider from configuration
+ * IMAGE_RECOGNITION_PROVIDER can be "clarifai", "mock" or "none" (the
+ * default is clarifai when FOOD_RECOGNITION_API_KEY is set, otherwise none).
+ * @returns {Object|null} - Provider instance
+ */
+const createRecognitionProvider = () => {
+  const name =
+    process.env.IMAGE_RECOGNITION_PROVIDER ||
+    (process.env.FOOD_RECOGNITION_API_KEY ? "clarifai" : "none");
+
+  switch (name) {
+    case "clarifai":
+      return new ClarifaiProvider();
+    case "mock":
+      return new MockRecognitionProvider();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown image recognition provider: ${name}`);
   }
+};
 
-  throw new Error("Unsupported file upload format");
+/**
+ * Get the recognition provider, creating it on first use
+ * @returns {Object|null} - Provider instance, or null when disabled
+ */
+const getRecognitionProvider = () => {
+  if (recognitionProvider === undefined) {
+    recognitionProvider = createRecognitionProvider();
+  }
+  return recognitionProvider;
 };
 
 /**
- * Handle local storage for development without Cloudinary
- * @param {Object} imageFile - The image file
- * @returns {Object} - Image data with local path
+ * Replace the recognition provider (e.g. with a mock in tests)
+ * @param {Object|null} provider - Object implementing recognize(image)
  */
-const handleLocalStorage = async (imageFile) => {
-  try {
-    // Create uploads directory if it doesn't exist
-    const uploadsDir = path.join(__dirname, "..", "public", "uploads");
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-
-    // Generate a unique filename
-    const timestamp = Date.now();
-    const filename = `${timestamp}_${imageFile.name}`;
-    const filepath = path.join(uploadsDir, filename);
-
-    // For Express-fileupload
-    if (imageFile.mv) {
-      await imageFile.mv(filepath);
-    }
-    // For Multer (file is already moved to imageFile.path)
-    else if (imageFile.path) {
-      // File is already saved, just return the path
-      return {
-        url: `/uploads/${path.basename(imageFile.path)}`,
-        publicId: path.basename(imageFile.path),
-      };
-    }
+exports.setRecognitionProvider = (provider) => {
+  recognitionProvider = provider;
+};
 
-    return {
-      url: `/uploads/${filename}`,
-      publicId: filename,
-    };
-  } catch (error) {
-    console.error("Error handling local storage:", error);
-    throw error;
+/**
+ * Whether a stored image (and its thumbnail) was uploaded by a user
+ * Meal images are stored under meals/<userId>/ (below a backend prefix).
+ * @param {Object} image - Meal image { publicId, thumbnailPublicId }
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+exports.imageBelongsTo = (image, userId) => {
+  const inUserFolder = (publicId) => {
+    const segments = String(publicId || "").split("/");
+
+    return (
+      segments.length >= 3 &&
+      !segments.includes("..") &&
+      segments[segments.length - 3] === "meals" &&
+      segments[segments.length - 2] === String(userId)
+    );
+  };
+
+  return (
+    Boolean(image) &&
+    inUserFolder(image.publicId) &&
+    (!image.thumbnailPublicId || inUserFolder(image.thumbnailPublicId))
+  );
+};
+
+/**
+ * Build a meal image from storage IDs (for images uploaded earlier)
+ * URLs come from the storage backend, never from the client.
+ * @param {Object} image - { publicId, thumbnailPublicId }
+ * @returns {Object} - Image data { url, publicId, thumbnailUrl,
+ *   thumbnailPublicId }
+ */
+exports.storedImage = ({ publicId, thumbnailPublicId }) => {
+  const storage = getStorage();
+
+  return {
+    url: storage.url(publicId),
+    publicId,
+    ...(thumbnailPublicId && {
+      thumbnailUrl: storage.url(thumbnailPublicId),
+      thumbnailPublicId,
+    }),
+  };
+};
+
+/**
+ * Re-encode an image as JPEG
+ * The image is turned upright and its metadata (EXIF, including GPS
+ * location) is dropped.
+ * @param {Buffer} data - Image contents
+ * @param {Object} resize - sharp resize options
+ * @returns {Promise<Object>} - { data, mimetype }
+ */
+const toJpeg = async (data, resize) => ({
+  data: await sharp(data, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(resize)
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer(),
+  mimetype: "image/jpeg",
+});
+
+/**
+ * Re-encode an uploaded food image for storage
+ * The image is scaled down to MAX_DIMENSION, and the square thumbnail and
+ * the recognition copy are made from the scaled image, so the upload itself
+ * is only decoded once.
+ * @param {Object} imageFile - The image file from the request
+ * @returns {Promise<Object>} - { image, thumbnail, name } with JPEG
+ *   { data, mimetype } images
+ */
+const prepareImage = async (imageFile) => {
+  const original = await readImage(imageFile);
+  const image = await toJpeg(original, {
+    width: MAX_DIMENSION,
+    height: MAX_DIMENSION,
+    fit: "inside",
+    withoutEnlargement: true,
+  });
+  const thumbnail = await toJpeg(image.data, {
+    width: THUMBNAIL_SIZE,
+    height: THUMBNAIL_SIZE,
+    fit: "cover",
+  });
+
+  return { image, thumbnail, name: imageFile.name };
+};
+
+/**
+ * Upload a prepared food image and its thumbnail
+ * @param {Object} prepared - Result of prepareImage
+ * @param {string} userId - Uploading user (images are stored in their folder)
+ * @returns {Promise<Object>} - Image data { url, publicId, thumbnailUrl,
+ *   thumbnailPublicId }
+ */
+const uploadImage = async ({ image, thumbnail, name }, userId) => {
+  const basename = path
+    .basename(name || "image", path.extname(name || ""))
+    .replace(/[^\w-]/g, "_");
+  const key = `meals/${userId}/${Date.now()}_${basename}`;
+
+  const stored = await getStorage().save(image, `${key}.jpg`);
+  const storedThumbnail = await getStorage().save(
+    thumbnail,
+    `${key}_thumb.jpg`
+  );
+
+  return {
+    url: stored.url,
+    publicId: stored.publicId,
+    thumbnailUrl: storedThumbnail.url,
+    thumbnailPublicId: storedThumbnail.publicId,
+  };
+};
+
+/**
+ * Process and upload a food image (see prepareImage and uploadImage)
+ * @param {Object} imageFile - The image file from the request
+ * @param {string} userId - Uploading user (images are stored in their folder)
+ * @returns {Promise<Object>} - Image data { url, publicId, thumbnailUrl,
+ *   thumbnailPublicId }
+ */
+exports.processAndUploadImage = async (imageFile, userId) =>
+  uploadImage(await prepareImage(imageFile), userId);
+
+exports.prepareImage = prepareImage;
+exports.uploadImage = uploadImage;
+
+/**
+ * Read an uploaded image into memory
+ * @param {Object} imageFile - The image file
+ * @returns {Promise<Buffer>} - File contents
+ */
+const readImage = (imageFile) => {
+  if (imageFile.tempFilePath) {
+    return fs.promises.readFile(imageFile.tempFilePath);
   }
+  if (imageFile.path) {
+    return fs.promises.readFile(imageFile.path);
+  }
+  return Promise.resolve(imageFile.data);
 };
 
 /**
- * Analyze a food image to identify food and estimate nutrition
- * This is a placeholder for integration with a real food recognition API
- * @param {string} imageUrl - The URL of the uploaded image
- * @returns {Object} - Nutrition data
+ * Recognize the foods in a meal photo for the user to review
+ * Each candidate gets nutrition for one default serving from the food
+ * catalog; likely candidates are pre-selected as meal items.
+ * @param {Object} image - Scaled JPEG copy { data, mimetype } from
+ *   prepareImage
+ * @param {string} userId - User whose custom foods are matched first
+ * @returns {Promise<Object|null>} - { candidates, items, calories, nutrition,
+ *   description }, or null when recognition is disabled or failed
  */
-const analyzeFoodImage = async (imageUrl) => {
+exports.analyzeFoodImage = async (image, userId) => {
+  const provider = getRecognitionProvider();
+
+  if (!provider) {
+    return null;
+  }
+
+  let recognized;
   try {
-    // This would be replaced with a real API call
-    // Example with a hypothetical Food Recognition API:
-    /*
-    const response = await axios.post('https://api.foodrecognition.com/analyze', {
-      imageUrl: imageUrl,
-      apiKey: process.env.FOOD_RECOGNITION_API_KEY
+    // Providers get a smaller copy (already without location metadata)
+    recognized = await provider.recognize(
+      await toJpeg(image.data, {
+        width: RECOGNITION_DIMENSION,
+        height: RECOGNITION_DIMENSION,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+    );
+  } catch (error) {
+    logger.warn("Image recognition failed", {
+      provider: provider.name,
+      error: error.message,
     });
-    
-    return {
-      calories: response.data.calories,
-      protein: response.data.protein,
-      carbs: response.data.carbs,
-      fat: response.data.fat,
-      description: response.data.foodName
-    };
-    */
-
-    // For now, just return a placeholder result
-    // In production, this should call a real food recognition API
-    const placeholder = {
-      calories: 350,
-      protein: 15,
-      carbs: 35,
-      fat: 12,
-      description: "Food from image",
-    };
+    return null;
+  }
+
+  const candidates = recognized
+    .filter((candidate) => candidate.confidence >= MIN_CONFIDENCE)
+    .slice(0, MAX_CANDIDATES);
+
+  const resolved = await resolveMealItems(
+    candidates.map((candidate) => ({ name: candidate.name })),
+    userId
+  );
+
+  const reviewed = candidates.map((candidate, i) => {
+    const item = resolved[i];
+    const known = item.calories !== undefined && item.calories !== null;
 
-    return placeholder;
-  } catch (error) {
-    console.error("Error analyzing food image:", error);
-    // Return a generic estimate
     return {
-      calories: 350,
-      protein: 15,
-      carbs: 35,
-      fat: 12,
-      description: "Food from image (estimate)",
+      ...candidate,
+      item: known ? item : null,
+      selected: known && candidate.confidence >= SUGGEST_CONFIDENCE,
     };
+  });
+
+  const items = reviewed
+    .filter((candidate) => candidate.selected)
+    .map((candidate) => candidate.item);
+  const totals = sumItems(items);
+
+  return {
+    candidates: reviewed,
+    items,
+    calories: totals.calories,
+    nutrition: pickNutrients(totals),
+    description: items.map((item) => item.name).join(", ") || "Food from image",
+  };
+};
+
+/**
+ * Delete a stored meal image and its thumbnail
+ * @param {Object} image - Meal image { publicId, thumbnailPublicId }
+ */
+exports.deleteImage = async (image) => {
+  const publicIds = [image.publicId, image.thumbnailPublicId].filter(Boolean);
+
+  for (const publicId of publicIds) {
+    await getStorage().remove(publicId);
   }
 };
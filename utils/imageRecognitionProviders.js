@@ -0,0 +1,68 @@
+// utils/imageRecognitionProviders.js - Food image recognition adapters
+const { HttpProvider } = require("./nutritionProviders");
+
+/**
+ * Every provider implements the same interface:
+ *   recognize(image) => Promise<Array>
+ * where image is { data: Buffer, mimetype } and the result lists candidate
+ * foods [{ name, confidence }] (confidence 0-1), most likely first.
+ * Requests get the same timeouts and retries as nutrition providers.
+ */
+
+/**
+ * Clarifai's food-item-recognition model
+ */
+class ClarifaiProvider extends HttpProvider {
+  constructor(options = {}) {
+    super({
+      baseUrl: "https://api.clarifai.com",
+      timeout: parseInt(process.env.IMAGE_RECOGNITION_TIMEOUT_MS, 10) || 15000,
+      ...options,
+    });
+    this.name = options.name || "clarifai";
+    this.apiKey = options.apiKey || process.env.FOOD_RECOGNITION_API_KEY || "";
+  }
+
+  async recognize(image) {
+    const data = await this.request({
+      method: "post",
+      url: "/v2/users/clarifai/apps/main/models/food-item-recognition/outputs",
+      headers: { Authorization: `Key ${this.apiKey}` },
+      data: {
+        inputs: [
+          { data: { image: { base64: image.data.toString("base64") } } },
+        ],
+      },
+    });
+
+    const output = data && data.outputs && data.outputs[0];
+    const concepts = (output && output.data && output.data.concepts) || [];
+
+    return concepts
+      .map((concept) => ({
+        name: String(concept.name).toLowerCase(),
+        confidence: Math.round(Number(concept.value) * 100) / 100,
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+}
+
+/**
+ * Local mock server speaking the Clarifai API
+ * (see scripts/mockRecognitionServer.js)
+ */
+class MockRecognitionProvider extends ClarifaiProvider {
+  constructor(options = {}) {
+    super({
+      baseUrl:
+        process.env.IMAGE_RECOGNITION_MOCK_URL || "http://localhost:5091",
+      name: "mock",
+      ...options,
+    });
+  }
+}
+
+module.exports = {
+  ClarifaiProvider,
+  MockRecognitionProvider,
+};
@@ -0,0 +1,96 @@
+// utils/loginThrottle.js - Per-IP failed login tracking with progressive delays
+const logger = require("./logger");
+
+// Failures allowed from one IP before delays kick in
+const FREE_ATTEMPTS = 5;
+// Longest delay between attempts once throttled
+const MAX_DELAY_MS = 15 * 60 * 1000;
+// Failures older than this are forgotten
+const WINDOW_MS = 60 * 60 * 1000;
+
+// ip -> { failures, lastFailureAt, accounts: Map(account -> failures) }
+const failuresByIp = new Map();
+
+/**
+ * Drop entries whose window has passed
+ */
+const prune = () => {
+  const cutoff = Date.now() - WINDOW_MS;
+  for (const [ip, entry] of failuresByIp) {
+    if (entry.lastFailureAt < cutoff) {
+      failuresByIp.delete(ip);
+    }
+  }
+};
+
+/**
+ * Milliseconds an IP must still wait before its next login attempt
+ * @param {string} ip - Client IP address
+ * @returns {number} - Remaining delay in ms (0 if none)
+ */
+exports.getIpDelay = (ip) => {
+  const entry = failuresByIp.get(ip);
+
+  if (!entry || entry.failures < FREE_ATTEMPTS) {
+    return 0;
+  }
+
+  // Double the delay for every failure past the free attempts
+  const delay = Math.min(
+    1000 * 2 ** (entry.failures - FREE_ATTEMPTS),
+    MAX_DELAY_MS
+  );
+
+  return Math.max(0, entry.lastFailureAt + delay - Date.now());
+};
+
+/**
+ * Record a failed login attempt from an IP
+ * @param {string} ip - Client IP address
+ * @param {string} account - Email address the attempt was for
+ * @returns {number} - Number of recent failures from this IP
+ */
+exports.recordIpFailure = (ip, account) => {
+  prune();
+
+  const entry = failuresByIp.get(ip) || {
+    failures: 0,
+    lastFailureAt: 0,
+    accounts: new Map(),
+  };
+  entry.failures += 1;
+  entry.lastFailureAt = Date.now();
+  entry.accounts.set(account, (entry.accounts.get(account) || 0) + 1);
+  failuresByIp.set(ip, entry);
+
+  if (entry.failures === FREE_ATTEMPTS) {
+    logger.warn("Login attempts from IP are now being throttled", {
+      ip,
+      failures: entry.failures,
+    });
+  }
+
+  return entry.failures;
+};
+
+/**
+ * Forget an IP's failures for one account after it logs in
+ * Failures against other accounts stay, so logging into an account of one's
+ * own doesn't reset the delay for guessing at the rest.
+ * @param {string} ip - Client IP address
+ * @param {string} account - Email address that logged in
+ */
+exports.clearAccountFailures = (ip, account) => {
+  const entry = failuresByIp.get(ip);
+
+  if (!entry || !entry.accounts.has(account)) {
+    return;
+  }
+
+  entry.failures -= entry.accounts.get(account);
+  entry.accounts.delete(account);
+
+  if (entry.failures <= 0) {
+    failuresByIp.delete(ip);
+  }
+};
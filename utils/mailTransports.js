@@ -0,0 +1,87 @@
+// utils/mailTransports.js - Mail transport implementations used by the mailer
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+/**
+ * Every transport implements the same interface:
+ *   send(message) => Promise<{ messageId }>
+ * where message is { from, to, subject, text, html }
+ */
+
+/**
+ * Deliver mail through an SMTP server
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      ...options,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * Write each message to a JSON file (for local development)
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.directory =
+      options.directory ||
+      process.env.MAIL_FILE_DIR ||
+      path.join(__dirname, "..", "logs", "mail");
+  }
+
+  async send(message) {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    const messageId = `${Date.now()}-${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+    const filepath = path.join(this.directory, `${messageId}.json`);
+
+    await fs.promises.writeFile(
+      filepath,
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId };
+  }
+}
+
+/**
+ * Keep messages in memory (for tests)
+ */
+class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send(message) {
+    const messageId = `memory-${this.messages.length + 1}`;
+    this.messages.push({ ...message, messageId });
+    return { messageId };
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = {
+  SmtpTransport,
+  FileTransport,
+  MemoryTransport,
+};
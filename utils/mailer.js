@@ -0,0 +1,106 @@
+// utils/mailer.js - Sends templated emails through a pluggable transport
+const templates = require("./emailTemplates");
+const {
+  SmtpTransport,
+  FileTransport,
+  MemoryTransport,
+} = require("./mailTransports");
+const logger = require("./logger");
+
+let transport = null;
+
+/**
+ * Pick a transport from configuration
+ * MAIL_TRANSPORT can be "smtp", "file" or "memory". When it isn't set, tests
+ * use memory, environments with an SMTP host use SMTP, and everything else
+ * writes messages to files.
+ * @returns {Object} - Transport instance
+ */
+const createTransport = () => {
+  const name =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "test"
+      ? "memory"
+      : process.env.SMTP_HOST
+      ? "smtp"
+      : "file");
+
+  switch (name) {
+    case "smtp":
+      return new SmtpTransport();
+    case "memory":
+      return new MemoryTransport();
+    case "file":
+      return new FileTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+/**
+ * Get the active transport, creating it on first use
+ * @returns {Object} - Transport instance
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with a MemoryTransport in tests)
+ * @param {Object} newTransport - Object implementing send(message)
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Render a template and send it
+ * @param {Object} options - Email options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.template - Template name from emailTemplates
+ * @param {Object} options.data - Values for the template
+ * @returns {Object} - Transport result with messageId
+ */
+const sendEmail = async ({ to, template, data = {} }) => {
+  const render = templates[template];
+
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const { subject, text, html } = render(data);
+
+  const result = await getTransport().send({
+    from: process.env.MAIL_FROM || "Niblet <no-reply@niblet.app>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  logger.info(`Email sent: ${template}`, {
+    to,
+    template,
+    messageId: result.messageId,
+  });
+
+  return result;
+};
+
+/**
+ * Build a link into the frontend app
+ * @param {string} pathname - Path within the app
+ * @returns {string} - Absolute URL
+ */
+const buildAppUrl = (pathname = "") =>
+  `${process.env.FRONTEND_URL || "http://localhost:3000"}${pathname}`;
+
+module.exports = {
+  sendEmail,
+  getTransport,
+  setTransport,
+  buildAppUrl,
+};
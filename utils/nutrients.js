@@ -0,0 +1,79 @@
+// utils/nutrients.js - Nutrients tracked on foods, meals, recipes and goals
+
+// Unit of each nutrient tracked besides calories
+const NUTRIENT_UNITS = {
+  protein: "g",
+  carbs: "g",
+  fat: "g",
+  fiber: "g",
+  sugar: "g",
+  saturatedFat: "g",
+  sodium: "mg",
+  cholesterol: "mg",
+};
+
+// Every nutrient tracked besides calories
+const NUTRIENT_KEYS = Object.keys(NUTRIENT_UNITS);
+
+// Protein, carbs and fat
+const MACRONUTRIENTS = ["protein", "carbs", "fat"];
+
+// Fiber, sugar, saturated fat, sodium and cholesterol
+const EXTENDED_NUTRIENTS = NUTRIENT_KEYS.filter(
+  (key) => !MACRONUTRIENTS.includes(key)
+);
+
+/**
+ * Schema fields with one Number per nutrient
+ * @param {Object} [options] - Options applied to every field (default, min)
+ * @param {Array} [keys] - Nutrients to include (all by default)
+ * @returns {Object} - Mongoose schema definition
+ */
+const nutrientFields = (options = {}, keys = NUTRIENT_KEYS) =>
+  Object.fromEntries(keys.map((key) => [key, { type: Number, ...options }]));
+
+/**
+ * Copy the nutrient values present on an object
+ * @param {Object} source - Object with nutrient keys (item, totals, API data)
+ * @returns {Object} - { protein, carbs, ... } for the keys that are set
+ */
+const pickNutrients = (source = {}) => {
+  const nutrients = {};
+
+  NUTRIENT_KEYS.forEach((key) => {
+    if (source[key] !== undefined && source[key] !== null) {
+      nutrients[key] = source[key];
+    }
+  });
+
+  return nutrients;
+};
+
+/**
+ * Multiply calories and every nutrient by a factor
+ * Calories are rounded to whole numbers, nutrients to one decimal place.
+ * @param {Object} source - Values to scale (missing nutrients count as 0)
+ * @param {number} factor - Multiplier
+ * @returns {Object} - Scaled { calories, protein, carbs, ... }
+ */
+const scaleNutrients = (source, factor) => {
+  const scaled = {
+    calories: Math.round((Number(source.calories) || 0) * factor),
+  };
+
+  NUTRIENT_KEYS.forEach((key) => {
+    scaled[key] = Math.round((Number(source[key]) || 0) * factor * 10) / 10;
+  });
+
+  return scaled;
+};
+
+module.exports = {
+  NUTRIENT_UNITS,
+  NUTRIENT_KEYS,
+  MACRONUTRIENTS,
+  EXTENDED_NUTRIENTS,
+  nutrientFields,
+  pickNutrients,
+  scaleNutrients,
+};
@@ -1,59 +1,23 @@
 // utils/nutritionAnalysis.js - Utility for analyzing food text descriptions
-const axios = require("axios");
 const dotenv = require("dotenv");
+const { isValidObjectId } = require("mongoose");
+const Food = require("../models/Food");
+const { parseFoodText } = require("./foodParser");
+const { normalizeUnit, portionToGrams } = require("./units");
+const { getCatalog, toCatalogFood, normalizeName } = require("./foodCatalog");
+const { NUTRIENT_KEYS, scaleNutrients } = require("./nutrients");
+const {
+  NutritionixProvider,
+  EdamamProvider,
+  UsdaProvider,
+  OpenFoodFactsProvider,
+  MockProvider,
+  toStoredFood,
+} = require("./nutritionProviders");
+const logger = require("./logger");
 
 dotenv.config();
 
-/**
- * Simple food database for demo purposes
- * In a production app, this would be replaced with a call to a nutrition API
- */
-const foodDatabase = {
-  apple: { calories: 95, protein: 0.5, carbs: 25, fat: 0.3 },
-  banana: { calories: 105, protein: 1.3, carbs: 27, fat: 0.4 },
-  orange: { calories: 62, protein: 1.2, carbs: 15, fat: 0.2 },
-  "chicken breast": { calories: 165, protein: 31, carbs: 0, fat: 3.6 },
-  salmon: { calories: 206, protein: 22, carbs: 0, fat: 13 },
-  rice: { calories: 130, protein: 2.7, carbs: 28, fat: 0.3 },
-  pasta: { calories: 131, protein: 5, carbs: 25, fat: 1.1 },
-  bread: { calories: 79, protein: 3, carbs: 15, fat: 1 },
-  egg: { calories: 78, protein: 6, carbs: 0.6, fat: 5 },
-  milk: { calories: 42, protein: 3.4, carbs: 5, fat: 1 },
-  coffee: { calories: 2, protein: 0.1, carbs: 0, fat: 0 },
-  tea: { calories: 1, protein: 0, carbs: 0.2, fat: 0 },
-  yogurt: { calories: 59, protein: 3.5, carbs: 5, fat: 3.3 },
-  cheese: { calories: 110, protein: 7, carbs: 0.4, fat: 9 },
-  salad: { calories: 20, protein: 1, carbs: 3, fat: 0.2 },
-  pizza: { calories: 285, protein: 12, carbs: 36, fat: 10 },
-  burger: { calories: 354, protein: 20, carbs: 31, fat: 17 },
-  fries: { calories: 312, protein: 3.4, carbs: 41, fat: 15 },
-  soda: { calories: 140, protein: 0, carbs: 39, fat: 0 },
-  "ice cream": { calories: 137, protein: 2.5, carbs: 16, fat: 7 },
-  chocolate: { calories: 155, protein: 2, carbs: 15, fat: 9 },
-  nuts: { calories: 184, protein: 7, carbs: 6, fat: 16 },
-  avocado: { calories: 160, protein: 2, carbs: 8.5, fat: 14.7 },
-  potato: { calories: 77, protein: 2, carbs: 17, fat: 0.1 },
-  cereal: { calories: 110, protein: 3, carbs: 22, fat: 1 },
-  bagel: { calories: 245, protein: 10, carbs: 48, fat: 1.5 },
-  oatmeal: { calories: 150, protein: 5, carbs: 27, fat: 2.5 },
-  sandwich: { calories: 300, protein: 15, carbs: 35, fat: 10 },
-  wrap: { calories: 245, protein: 10, carbs: 36, fat: 8 },
-  turkey: { calories: 165, protein: 24, carbs: 0, fat: 7 },
-  steak: { calories: 271, protein: 26, carbs: 0, fat: 19 },
-  fish: { calories: 136, protein: 22, carbs: 0, fat: 5 },
-  shrimp: { calories: 99, protein: 24, carbs: 0, fat: 0.3 },
-  tofu: { calories: 76, protein: 8, carbs: 2, fat: 4 },
-  beans: { calories: 127, protein: 8, carbs: 23, fat: 0.5 },
-  lentils: { calories: 116, protein: 9, carbs: 20, fat: 0.4 },
-  "peanut butter": { calories: 188, protein: 8, carbs: 6, fat: 16 },
-  "olive oil": { calories: 119, protein: 0, carbs: 0, fat: 14 },
-  butter: { calories: 102, protein: 0.1, carbs: 0, fat: 11.5 },
-  tomato: { calories: 18, protein: 0.9, carbs: 3.9, fat: 0.2 },
-  lettuce: { calories: 5, protein: 0.5, carbs: 1, fat: 0.1 },
-  cucumber: { calories: 8, protein: 0.3, carbs: 1.9, fat: 0.1 },
-  carrot: { calories: 25, protein: 0.6, carbs: 6, fat: 0.1 },
-};
-
 /**
  * Meal names and average calories
  */
@@ -64,20 +28,113 @@ const mealTypes = {
   snack: 200,
 };
 
+// Confidence in a database match by the food's own name or an alias
+const MATCH_CONFIDENCE = { name: 1, alias: 0.9 };
+
+// Confidence in a portion given with a unit, as a count, or not at all
+const PORTION_CONFIDENCE = { measured: 1, counted: 0.9, assumed: 0.75 };
+
+// Confidence in items parsed by an external provider
+const PROVIDER_CONFIDENCE = 0.9;
+
+// Confidence in estimates that aren't built from matched foods
+const GUESS_CONFIDENCE = { "meal-type": 0.3, default: 0.1 };
+
+const providers = {};
+
+/**
+ * Create a nutrition provider by name
+ * "local" (or an empty name) means no external provider, as does an unknown
+ * name, which is logged.
+ * @param {string} name - nutritionix, edamam, usda, openfoodfacts, mock or local
+ * @returns {Object|null} - Provider instance
+ */
+const createProvider = (name) => {
+  switch (name) {
+    case "nutritionix":
+      return new NutritionixProvider();
+    case "edamam":
+      return new EdamamProvider();
+    case "usda":
+      return new UsdaProvider();
+    case "openfoodfacts":
+      return new OpenFoodFactsProvider();
+    case "mock":
+      return new MockProvider();
+    case "local":
+    case undefined:
+    case "":
+      return null;
+    default:
+      // A mistyped setting shouldn't break meal logging or barcode lookups
+      logger.error("Unknown nutrition provider, using local database", {
+        provider: name,
+      });
+      return null;
+  }
+};
+
+/**
+ * Get the provider for a kind of lookup, creating it on first use
+ * NUTRITION_PROVIDER picks the provider for text analysis (nutritionix when
+ * only NUTRITION_API_KEY is set, otherwise local). NUTRITION_BARCODE_PROVIDER
+ * can pick a different one for barcodes.
+ * @param {string} [kind="text"] - "text" or "barcode"
+ * @returns {Object|null} - Provider instance, or null for the local database
+ */
+const getProvider = (kind = "text") => {
+  if (!(kind in providers)) {
+    const textProvider =
+      process.env.NUTRITION_PROVIDER ||
+      (process.env.NUTRITION_API_KEY ? "nutritionix" : "local");
+
+    providers[kind] = createProvider(
+      kind === "barcode"
+        ? process.env.NUTRITION_BARCODE_PROVIDER || textProvider
+        : textProvider
+    );
+  }
+
+  return providers[kind];
+};
+
+/**
+ * Replace the provider for a kind of lookup (e.g. a mock in tests)
+ * @param {Object|null} provider - Object implementing the provider interface
+ * @param {string} [kind="text"] - "text" or "barcode"
+ */
+exports.setProvider = (provider, kind = "text") => {
+  providers[kind] = provider;
+};
+
+exports.getProvider = getProvider;
+
 /**
  * Analyzes meal text to estimate calories and nutrition
+ * Uses the configured nutrition provider when there is one, falling back to
+ * the local food database when it finds nothing or fails.
+ * The estimation tells how the result was reached:
+ *   method       - "provider", "database", "meal-type" (average for a meal
+ *                  named in the text) or "default" (nothing recognized)
+ *   confidence   - 0-1, also given per item
+ *   unrecognized - words that matched no food
  * @param {string} text - The meal description text
- * @returns {Object} - Nutrition data including calories, protein, carbs, fat
+ * @param {string} [userId] - User whose custom foods are matched first
+ * @returns {Object} - Nutrition data including calories, protein, carbs, fat,
+ *   items and estimation { method, confidence, unrecognized }
  */
-exports.analyzeTextForCalories = async (text) => {
+exports.analyzeTextForCalories = async (text, userId) => {
   try {
-    // Check if we have access to an external API
-    if (process.env.NUTRITION_API_KEY) {
-      return await analyzeWithExternalAPI(text);
-    } else {
-      // Fallback to simple analysis
-      return analyzeWithSimpleAlgorithm(text);
+    const provider = getProvider("text");
+
+    if (provider) {
+      const result = await analyzeWithExternalAPI(text, provider);
+      if (result) {
+        return result;
+      }
     }
+
+    return await analyzeWithSimpleAlgorithm(text, userId);
   } catch (error) {
     console.error("Error analyzing meal text:", error);
     // Return a rough estimate based on meal type detection
@@ -86,91 +143,208 @@ exports.analyzeTextForCalories = async (text) => {
 };
 
 /**
- * A simple algorithm to analyze meal text
- * @param {string} text - The meal description text
- * @returns {Object} - Nutrition data
+ * Build a meal item with nutrients scaled to its weight
+ * @param {Object} entry - { food, quantity, unit } (unit canonical or null)
+ * @returns {Object} - Item { name, food, quantity, unit, grams, calories, protein, carbs, ... }
  */
-const analyzeWithSimpleAlgorithm = (text) => {
-  const lowerText = text.toLowerCase();
-  let totalCalories = 0;
-  let totalProtein = 0;
-  let totalCarbs = 0;
-  let totalFat = 0;
-
-  // Check for meal type indicators
-  let detectedMealType = null;
-  for (const [mealType, _] of Object.entries(mealTypes)) {
-    if (lowerText.includes(mealType)) {
-      detectedMealType = mealType;
-      break;
-    }
+const buildItem = ({ food, quantity, unit }) => {
+  const portion = portionToGrams(food, quantity, unit);
+
+  return {
+    name: food.name,
+    food: food._id,
+    quantity:
+      quantity === null || quantity === undefined
+        ? 1
+        : Math.round(quantity * 100) / 100,
+    unit: portion.unit,
+    grams: Math.round(portion.grams),
+    ...scaleNutrients(food, portion.grams / 100),
+  };
+};
+
+/**
+ * Add up calories and nutrients of meal items
+ * @param {Array} items - Meal items
+ * @returns {Object} - { calories, protein, carbs, fat, fiber, ... } rounded to whole numbers
+ */
+const sumItems = (items) => {
+  const totals = { calories: 0 };
+  NUTRIENT_KEYS.forEach((key) => {
+    totals[key] = 0;
+  });
+
+  items.forEach((item) => {
+    Object.keys(totals).forEach((key) => {
+      totals[key] += Number(item[key]) || 0;
+    });
+  });
+
+  Object.keys(totals).forEach((key) => {
+    totals[key] = Math.round(totals[key]);
+  });
+
+  return totals;
+};
+
+exports.buildItem = buildItem;
+exports.sumItems = sumItems;
+
+// Round a confidence to two decimals
+const roundConfidence = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Confidence in a meal item matched in the local database
+ * @param {Object} entry - Parser entry { food, quantity, unit, match }
+ * @returns {number} - 0-1
+ */
+const matchConfidence = ({ food, quantity, unit, match }) => {
+  const byName = normalizeName(food.name) === match;
+  const portion =
+    quantity === null ? "assumed" : unit === null ? "counted" : "measured";
+
+  return roundConfidence(
+    MATCH_CONFIDENCE[byName ? "name" : "alias"] * PORTION_CONFIDENCE[portion]
+  );
+};
+
+/**
+ * Overall confidence of an estimate built from items
+ * Item confidences are weighted by calories, then reduced by the share of
+ * words that weren't recognized.
+ * @param {Array} items - Items with confidence
+ * @param {number} [recognizedWords=0] - Words matched to foods
+ * @param {number} [unrecognizedWords=0] - Words that matched nothing
+ * @returns {number} - 0-1
+ */
+const overallConfidence = (
+  items,
+  recognizedWords = 0,
+  unrecognizedWords = 0
+) => {
+  const weights = items.map((item) => Number(item.calories) || 0);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const itemConfidence =
+    totalWeight > 0
+      ? items.reduce((sum, item, i) => sum + item.confidence * weights[i], 0) /
+        totalWeight
+      : items.reduce((sum, item) => sum + item.confidence, 0) / items.length;
+
+  const coverage =
+    unrecognizedWords > 0
+      ? recognizedWords / (recognizedWords + unrecognizedWords)
+      : 1;
+
+  return roundConfidence(itemConfidence * coverage);
+};
+
+/**
+ * Fill in grams, calories and macros for manually entered meal items
+ * Items that already have calories are kept as entered; others are looked
+ * up by food id (global or the user's own) or by name, and computed from
+ * quantity + unit. Items that can't be found are returned unchanged
+ * (without calories).
+ * @param {Array} items - Items { name, food?, quantity, unit, calories? }
+ * @param {string} [userId] - User whose custom foods are matched first
+ * @returns {Promise<Array>} - Resolved items
+ */
+exports.resolveMealItems = async (items, userId) => {
+  const { findFoodByName } = await getCatalog(userId);
+
+  const needsNutrition = (item) =>
+    item.calories === undefined || item.calories === null;
+
+  // Load foods referenced by id in one query
+  const foodIds = items
+    .filter((item) => needsNutrition(item) && isValidObjectId(item.food))
+    .map((item) => item.food);
+
+  const foodsById = new Map();
+  if (foodIds.length > 0) {
+    const foods = await Food.find({
+      _id: { $in: foodIds },
+      $or: [{ owner: null }, { owner: userId }],
+    }).lean();
+
+    foods.forEach((food) => {
+      foodsById.set(String(food._id), toCatalogFood(food));
+    });
   }
 
-  // Look for known foods in the text
-  let foodsFound = false;
-  for (const [food, nutrition] of Object.entries(foodDatabase)) {
-    // If the food is mentioned in the text
-    if (lowerText.includes(food)) {
-      foodsFound = true;
-
-      // Check for quantity indicators
-      let quantity = 1;
-
-      // Simple quantity detection logic
-      const words = lowerText.split(" ");
-      const foodIndex = words.findIndex((word) => word.includes(food));
-
-      if (foodIndex > 0) {
-        const prevWord = words[foodIndex - 1];
-        if (!isNaN(prevWord)) {
-          quantity = parseFloat(prevWord);
-        } else if (prevWord === "half" || prevWord === "a-half") {
-          quantity = 0.5;
-        } else if (prevWord === "quarter") {
-          quantity = 0.25;
-        } else if (prevWord === "double" || prevWord === "two") {
-          quantity = 2;
-        } else if (prevWord === "triple" || prevWord === "three") {
-          quantity = 3;
-        }
-      }
+  return items.map((item) => {
+    if (!needsNutrition(item)) {
+      return item;
+    }
 
-      // Add nutrition values
-      totalCalories += nutrition.calories * quantity;
-      totalProtein += nutrition.protein * quantity;
-      totalCarbs += nutrition.carbs * quantity;
-      totalFat += nutrition.fat * quantity;
+    const food = foodsById.get(String(item.food)) || findFoodByName(item.name);
+    if (!food) {
+      return item;
     }
-  }
 
-  // If no foods were found but we detected a meal type, use average values
-  if (!foodsFound && detectedMealType) {
-    return roughEstimateBasedOnMealType(text);
-  }
+    const quantity =
+      item.quantity === undefined || item.quantity === null
+        ? null
+        : Number(item.quantity);
+
+    return {
+      ...item,
+      ...buildItem({ food, quantity, unit: normalizeUnit(item.unit) }),
+      name: item.name || food.name,
+    };
+  });
+};
 
-  // If no foods were found and no meal type, make a very rough estimate
-  if (!foodsFound && !detectedMealType) {
-    totalCalories = 350; // Default average
-    totalProtein = 15;
-    totalCarbs = 35;
-    totalFat = 12;
+/**
+ * A simple algorithm to analyze meal text
+ * Parses the text into foods with quantities and units and returns totals
+ * along with a per-item breakdown.
+ * @param {string} text - The meal description text
+ * @param {string} [userId] - User whose custom foods are matched first
+ * @returns {Promise<Object>} - Nutrition data with items
+ */
+const analyzeWithSimpleAlgorithm = async (text, userId) => {
+  const { findFoodAt } = await getCatalog(userId);
+  const { entries, unrecognized } = parseFoodText(text, findFoodAt);
+
+  // If no foods were found, estimate from the meal type
+  if (entries.length === 0) {
+    return { ...roughEstimateBasedOnMealType(text, unrecognized), items: [] };
   }
 
+  const items = entries.map((entry) => ({
+    ...buildItem(entry),
+    confidence: matchConfidence(entry),
+  }));
+
+  const recognizedWords = entries.reduce(
+    (sum, entry) => sum + entry.match.split(" ").length,
+    0
+  );
+
   return {
-    calories: Math.round(totalCalories),
-    protein: Math.round(totalProtein),
-    carbs: Math.round(totalCarbs),
-    fat: Math.round(totalFat),
+    ...sumItems(items),
     description: text,
+    items,
+    estimation: {
+      method: "database",
+      confidence: overallConfidence(
+        items,
+        recognizedWords,
+        unrecognized.length
+      ),
+      unrecognized,
+    },
   };
 };
 
 /**
  * Make a rough estimate based on meal type
  * @param {string} text - The meal description text
- * @returns {Object} - Nutrition data
+ * @param {Array} [unrecognized=[]] - Words that matched no food
+ * @returns {Object} - Nutrition data with estimation
  */
-const roughEstimateBasedOnMealType = (text) => {
+const roughEstimateBasedOnMealType = (text, unrecognized = []) => {
   const lowerText = text.toLowerCase();
 
   for (const [mealType, avgCalories] of Object.entries(mealTypes)) {
@@ -181,6 +355,11 @@ const roughEstimateBasedOnMealType = (text) => {
         carbs: Math.round((avgCalories * 0.5) / 4), // 50% from carbs
         fat: Math.round((avgCalories * 0.25) / 9), // 25% from fat
         description: text,
+        estimation: {
+          method: "meal-type",
+          confidence: GUESS_CONFIDENCE["meal-type"],
+          unrecognized,
+        },
       };
     }
   }
@@ -192,38 +371,77 @@ const roughEstimateBasedOnMealType = (text) => {
     carbs: 35,
     fat: 12,
     description: text,
+    estimation: {
+      method: "default",
+      confidence: GUESS_CONFIDENCE.default,
+      unrecognized,
+    },
   };
 };
 
 /**
- * Analyze text using an external nutrition API
- * This is a placeholder for integration with a real nutrition API
+ * Analyze text using an external nutrition provider
  * @param {string} text - The meal description text
- * @returns {Object} - Nutrition data
+ * @param {Object} provider - Nutrition provider
+ * @returns {Promise<Object|null>} - Nutrition data with items, or null when
+ *   the provider found nothing or failed
  */
-const analyzeWithExternalAPI = async (text) => {
+const analyzeWithExternalAPI = async (text, provider) => {
   try {
-    // This would be replaced with a real API call
-    // Example with a hypothetical Nutrition API:
-    /*
-    const response = await axios.post('https://api.nutritionapi.com/analyze', {
-      text: text,
-      apiKey: process.env.NUTRITION_API_KEY
-    });
-    
+    const items = await provider.lookupText(text);
+
+    if (!items || items.length === 0) {
+      return null;
+    }
+
+    const rated = items.map((item) => ({
+      ...item,
+      confidence: PROVIDER_CONFIDENCE,
+    }));
+
+    // Providers don't report the words they skipped
     return {
-      calories: response.data.calories,
-      protein: response.data.protein,
-      carbs: response.data.carbs,
-      fat: response.data.fat,
-      description: text
+      ...sumItems(rated),
+      description: text,
+      items: rated,
+      estimation: {
+        method: "provider",
+        confidence: overallConfidence(rated),
+        unrecognized: [],
+      },
     };
-    */
+  } catch (error) {
+    logger.warn("Nutrition provider failed, using local database", {
+      provider: provider.name,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+/**
+ * Look up a packaged food by barcode with the configured provider
+ * @param {string} code - UPC/EAN barcode
+ * @returns {Promise<Object|null>} - Food with nutrients per 100 g, or null
+ *   (also when the provider's answer doesn't fit the catalog)
+ */
+exports.lookupBarcode = async (code) => {
+  let provider;
+
+  try {
+    provider = getProvider("barcode");
 
-    // For now, just use our simple algorithm
-    return analyzeWithSimpleAlgorithm(text);
+    if (!provider) {
+      return null;
+    }
+
+    const food = await provider.lookupBarcode(code);
+    return food && toStoredFood(food);
   } catch (error) {
-    console.error("Error calling nutrition API:", error);
-    throw error;
+    logger.warn("Nutrition provider barcode lookup failed", {
+      provider: provider && provider.name,
+      error: error.message,
+    });
+    return null;
   }
 };
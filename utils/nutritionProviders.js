@@ -0,0 +1,483 @@
+// utils/nutritionProviders.js - Nutrition API adapters used by text analysis and barcode lookup
+const axios = require("axios");
+const { splitSegments, tokenize, readQuantity } = require("./foodParser");
+const { portionToGrams } = require("./units");
+const { scaleNutrients } = require("./nutrients");
+
+/**
+ * Every provider implements the same interface:
+ *   lookupText(text) => Promise<Array|null>
+ *     Meal items { name, quantity, unit, grams, calories, protein, ... }
+ *   lookupBarcode(code) => Promise<Object|null>
+ *     Food { name, brand, barcode, calories, protein, ... per 100 g, servings, defaultUnit }
+ * null means the provider found nothing (or can't do that lookup), so the
+ * caller falls back to the local food database. Network errors, timeouts
+ * and 5xx/429 responses are retried before the error is thrown.
+ */
+
+// Delay before the first retry (doubles on each attempt)
+const RETRY_DELAY_MS = 250;
+
+// Nutritionix field for each nutrient
+const NUTRITIONIX_FIELDS = {
+  calories: "nf_calories",
+  protein: "nf_protein",
+  carbs: "nf_total_carbohydrate",
+  fat: "nf_total_fat",
+  fiber: "nf_dietary_fiber",
+  sugar: "nf_sugars",
+  saturatedFat: "nf_saturated_fat",
+  sodium: "nf_sodium",
+  cholesterol: "nf_cholesterol",
+};
+
+// Edamam nutrient code for each nutrient
+const EDAMAM_CODES = {
+  calories: "ENERC_KCAL",
+  protein: "PROCNT",
+  carbs: "CHOCDF",
+  fat: "FAT",
+  fiber: "FIBTG",
+  sugar: "SUGAR",
+  saturatedFat: "FASAT",
+  sodium: "NA",
+  cholesterol: "CHOLE",
+};
+
+// FoodData Central nutrient number for each nutrient
+const USDA_NUMBERS = {
+  calories: "208",
+  protein: "203",
+  carbs: "205",
+  fat: "204",
+  fiber: "291",
+  sugar: "269",
+  saturatedFat: "606",
+  sodium: "307",
+  cholesterol: "601",
+};
+
+// Open Food Facts nutriment per 100 g for each nutrient (and unit factor)
+const OPEN_FOOD_FACTS_FIELDS = {
+  calories: ["energy-kcal_100g", 1],
+  protein: ["proteins_100g", 1],
+  carbs: ["carbohydrates_100g", 1],
+  fat: ["fat_100g", 1],
+  fiber: ["fiber_100g", 1],
+  sugar: ["sugars_100g", 1],
+  saturatedFat: ["saturated-fat_100g", 1],
+  sodium: ["sodium_100g", 1000], // g -> mg
+  cholesterol: ["cholesterol_100g", 1000], // g -> mg
+};
+
+// Most energy 100 g of food can hold (pure fat); other nutrients can't weigh
+// more than 100 g
+const MAX_CALORIES_PER_100G = 900;
+
+/**
+ * Check that a food's nutrients per 100 g are physically possible
+ * Provider data holds typos such as kJ in the kcal field (Open Food Facts is
+ * user-edited).
+ * @param {Object} food - Food with nutrients per 100 g
+ * @returns {boolean}
+ */
+const hasPlausibleNutrients = (food) =>
+  Object.entries(OPEN_FOOD_FACTS_FIELDS).every(([key, [, factor]]) => {
+    const max = key === "calories" ? MAX_CALORIES_PER_100G : 100 * factor;
+    // Missing nutrients default to 0 in the catalog
+    return food[key] === undefined || (food[key] >= 0 && food[key] <= max);
+  });
+
+/**
+ * Fit a barcode lookup result to the food catalog
+ * Names are lowercased and cut to the catalog's 100 characters.
+ * @param {Object} food - Food from a provider's lookupBarcode
+ * @returns {Object|null} - Food to store, or null without a name or with
+ *   impossible nutrient values
+ */
+const toStoredFood = (food) => {
+  const name = String(food.name || "")
+    .trim()
+    .toLowerCase()
+    .slice(0, 100);
+
+  if (!name || !hasPlausibleNutrients(food)) {
+    return null;
+  }
+
+  return {
+    ...food,
+    name,
+    brand: food.brand ? String(food.brand).trim() || undefined : undefined,
+  };
+};
+
+/**
+ * Convert an Open Food Facts product (API response or dump row) to a food
+ * @param {Object} product - { code, product_name, brands, serving_quantity, nutriments }
+ * @returns {Object|null} - Food with nutrients per 100 g, or null without a
+ *   barcode, name or energy value, or with impossible nutrient values
+ */
+const fromOpenFoodFacts = (product) => {
+  const nutriments = product.nutriments || {};
+  const name = String(product.product_name || "").trim();
+  const kcal =
+    nutriments["energy-kcal_100g"] !== undefined &&
+    nutriments["energy-kcal_100g"] !== ""
+      ? Number(nutriments["energy-kcal_100g"])
+      : Number(nutriments["energy_100g"]) / 4.184; // kJ
+
+  if (!product.code || !name || !(kcal >= 0)) {
+    return null;
+  }
+
+  const servingGrams = Number(product.serving_quantity);
+
+  return toStoredFood({
+    name,
+    brand: product.brands
+      ? String(product.brands).split(",")[0].trim() || undefined
+      : undefined,
+    barcode: String(product.code),
+    ...readNutrients(OPEN_FOOD_FACTS_FIELDS, ([field, factor]) =>
+      field === "energy-kcal_100g"
+        ? kcal
+        : (Number(nutriments[field]) || 0) * factor
+    ),
+    servings:
+      servingGrams > 0 ? [{ unit: "serving", grams: servingGrams }] : [],
+    defaultUnit: servingGrams > 0 ? "serving" : "g",
+  });
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Read nutrients from an API response and scale them
+ * @param {Object} fields - Nutrient -> source key
+ * @param {Function} getValue - Source key -> number
+ * @param {number} [factor=1] - Multiplier (e.g. per serving -> per 100 g)
+ * @returns {Object} - { calories, protein, carbs, ... }
+ */
+const readNutrients = (fields, getValue, factor = 1) => {
+  const values = {};
+
+  Object.entries(fields).forEach(([key, source]) => {
+    values[key] = Number(getValue(source)) || 0;
+  });
+
+  return scaleNutrients(values, factor);
+};
+
+/**
+ * Shared HTTP handling: timeouts and retries
+ */
+class HttpProvider {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl;
+    this.timeout =
+      options.timeout ||
+      parseInt(process.env.NUTRITION_API_TIMEOUT_MS, 10) ||
+      5000;
+
+    // 0 turns retries off; anything that isn't a count falls back to 2
+    const retries =
+      options.retries !== undefined
+        ? options.retries
+        : parseInt(process.env.NUTRITION_API_RETRIES, 10);
+    this.retries = Number.isInteger(retries) && retries >= 0 ? retries : 2;
+  }
+
+  /**
+   * Send a request, retrying network errors, timeouts, 5xx and 429
+   * @param {Object} config - axios request config (url relative to baseUrl)
+   * @returns {Promise<Object|null>} - Response body, or null on 404
+   */
+  async request(config) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.request({
+          timeout: this.timeout,
+          ...config,
+          url: `${this.baseUrl}${config.url}`,
+        });
+        return response.data;
+      } catch (err) {
+        const status = err.response && err.response.status;
+
+        if (status === 404) {
+          return null;
+        }
+
+        const retryable = !status || status === 429 || status >= 500;
+        if (!retryable || attempt >= this.retries) {
+          throw err;
+        }
+
+        await sleep(RETRY_DELAY_MS * 2 ** attempt);
+      }
+    }
+  }
+
+  async lookupText() {
+    return null;
+  }
+
+  async lookupBarcode() {
+    return null;
+  }
+}
+
+/**
+ * Nutritionix natural-language and UPC lookup
+ */
+class NutritionixProvider extends HttpProvider {
+  constructor(options = {}) {
+    super({ baseUrl: "https://trackapi.nutritionix.com", ...options });
+    this.name = options.name || "nutritionix";
+    this.headers = {
+      "x-app-id": options.appId || process.env.NUTRITIONIX_APP_ID || "",
+      "x-app-key": options.apiKey || process.env.NUTRITION_API_KEY || "",
+    };
+  }
+
+  async lookupText(text) {
+    const data = await this.request({
+      method: "post",
+      url: "/v2/natural/nutrients",
+      headers: this.headers,
+      data: { query: text },
+    });
+
+    if (!data || !Array.isArray(data.foods) || data.foods.length === 0) {
+      return null;
+    }
+
+    return data.foods.map((food) => ({
+      name: food.food_name,
+      quantity: food.serving_qty,
+      unit: food.serving_unit,
+      grams: Math.round(food.serving_weight_grams) || undefined,
+      ...readNutrients(NUTRITIONIX_FIELDS, (field) => food[field]),
+    }));
+  }
+
+  async lookupBarcode(code) {
+    const data = await this.request({
+      url: "/v2/search/item",
+      headers: this.headers,
+      params: { upc: code },
+    });
+
+    const food = data && data.foods && data.foods[0];
+    if (!food || !(food.serving_weight_grams > 0)) {
+      return null;
+    }
+
+    return {
+      name: food.food_name,
+      brand: food.brand_name,
+      barcode: code,
+      ...readNutrients(
+        NUTRITIONIX_FIELDS,
+        (field) => food[field],
+        100 / food.serving_weight_grams
+      ),
+      servings: [{ unit: "serving", grams: food.serving_weight_grams }],
+      defaultUnit: "serving",
+    };
+  }
+}
+
+/**
+ * Edamam nutrition analysis (one request per list item) and food database UPC
+ * lookup
+ */
+class EdamamProvider extends HttpProvider {
+  constructor(options = {}) {
+    super({ baseUrl: "https://api.edamam.com", ...options });
+    this.name = "edamam";
+    this.credentials = {
+      app_id: options.appId || process.env.EDAMAM_APP_ID,
+      app_key: options.apiKey || process.env.EDAMAM_APP_KEY,
+    };
+  }
+
+  async lookupText(text) {
+    const items = [];
+
+    for (const segment of splitSegments(text)) {
+      const data = await this.request({
+        url: "/api/nutrition-data",
+        params: {
+          ...this.credentials,
+          "nutrition-type": "logging",
+          ingr: segment,
+        },
+      });
+
+      // Edamam answers unknown ingredients with an empty analysis
+      if (!data || !(data.totalWeight > 0)) {
+        return null;
+      }
+
+      const nutrients = data.totalNutrients || {};
+      items.push({
+        name: segment,
+        quantity: 1,
+        grams: Math.round(data.totalWeight),
+        ...readNutrients(
+          EDAMAM_CODES,
+          (code) => nutrients[code] && nutrients[code].quantity
+        ),
+      });
+    }
+
+    return items.length > 0 ? items : null;
+  }
+
+  async lookupBarcode(code) {
+    const data = await this.request({
+      url: "/api/food-database/v2/parser",
+      params: { ...this.credentials, upc: code },
+    });
+
+    const food = data && data.hints && data.hints[0] && data.hints[0].food;
+    if (!food) {
+      return null;
+    }
+
+    return {
+      name: food.label,
+      brand: food.brand,
+      barcode: code,
+      ...readNutrients(EDAMAM_CODES, (key) => (food.nutrients || {})[key]),
+      servings: [],
+      defaultUnit: "g",
+    };
+  }
+}
+
+/**
+ * USDA FoodData Central search (best match per list item, per 100 g)
+ */
+class UsdaProvider extends HttpProvider {
+  constructor(options = {}) {
+    super({ baseUrl: "https://api.nal.usda.gov/fdc/v1", ...options });
+    this.name = "usda";
+    this.apiKey = options.apiKey || process.env.USDA_API_KEY || "DEMO_KEY";
+  }
+
+  // Nutrients per 100 g from a search result
+  toFood(food) {
+    const byNumber = new Map(
+      (food.foodNutrients || []).map((nutrient) => [
+        String(nutrient.nutrientNumber),
+        nutrient.value,
+      ])
+    );
+
+    return {
+      name: String(food.description || "").toLowerCase(),
+      brand: food.brandOwner || food.brandName,
+      barcode: food.gtinUpc,
+      ...readNutrients(USDA_NUMBERS, (number) => byNumber.get(number)),
+      servings: [],
+      defaultUnit: "g",
+    };
+  }
+
+  async search(query, dataType) {
+    const data = await this.request({
+      url: "/foods/search",
+      params: { api_key: this.apiKey, query, dataType, pageSize: 1 },
+    });
+
+    return data && data.foods && data.foods[0]
+      ? this.toFood(data.foods[0])
+      : null;
+  }
+
+  async lookupText(text) {
+    const items = [];
+
+    for (const segment of splitSegments(text)) {
+      const tokens = tokenize(segment);
+      const amount = readQuantity(tokens, 0);
+      const query = tokens.slice(amount ? amount.next : 0).join(" ");
+
+      const food = query && (await this.search(query, "Foundation,SR Legacy"));
+      if (!food) {
+        return null;
+      }
+
+      // Search results have no household measures; default to 100 g
+      const portion = portionToGrams(
+        { ...food, servings: {} },
+        amount ? amount.quantity : null,
+        amount ? amount.unit : null
+      );
+
+      items.push({
+        name: query,
+        quantity: amount ? amount.quantity : 1,
+        unit: portion.unit,
+        grams: Math.round(portion.grams),
+        ...scaleNutrients(food, portion.grams / 100),
+      });
+    }
+
+    return items.length > 0 ? items : null;
+  }
+
+  async lookupBarcode(code) {
+    const food = await this.search(code, "Branded");
+
+    return food && food.barcode === code ? food : null;
+  }
+}
+
+/**
+ * Open Food Facts product lookup (barcodes only, no key needed)
+ */
+class OpenFoodFactsProvider extends HttpProvider {
+  constructor(options = {}) {
+    super({ baseUrl: "https://world.openfoodfacts.org", ...options });
+    this.name = "openfoodfacts";
+  }
+
+  async lookupBarcode(code) {
+    const data = await this.request({
+      url: `/api/v2/product/${encodeURIComponent(code)}.json`,
+    });
+
+    const product = data && data.status === 1 && data.product;
+
+    return product ? fromOpenFoodFacts({ code, ...product }) : null;
+  }
+}
+
+/**
+ * Local mock server speaking the Nutritionix API
+ * (see scripts/mockNutritionServer.js)
+ */
+class MockProvider extends NutritionixProvider {
+  constructor(options = {}) {
+    super({
+      baseUrl: process.env.NUTRITION_MOCK_URL || "http://localhost:5090",
+      name: "mock",
+      ...options,
+    });
+  }
+}
+
+module.exports = {
+  HttpProvider,
+  NutritionixProvider,
+  EdamamProvider,
+  UsdaProvider,
+  OpenFoodFactsProvider,
+  MockProvider,
+  fromOpenFoodFacts,
+  toStoredFood,
+};
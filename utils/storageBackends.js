@@ -0,0 +1,272 @@
+// utils/storageBackends.js - Storage backends for uploaded images
+const fs = require("fs");
+const path = require("path");
+const cloudinary = require("cloudinary").v2;
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+
+/**
+ * Every backend implements the same interface:
+ *   save(file, key)   => Promise<{ url, publicId }>
+ *   url(publicId)     => URL the object is served from
+ *   remove(publicId)  => Promise (missing objects are ignored)
+ *   list(prefix)      => AsyncIterable<Array<{ publicId, createdAt }>>
+ * where file is { data: Buffer, mimetype } and key is the object name
+ * (e.g. "meals/<userId>/<timestamp>_<name>.jpg").
+ * Backends that keep objects private also implement
+ *   open(publicId)    => Promise<{ stream, contentType }|null>
+ * and their URLs point at the authenticated /api/uploads route.
+ */
+
+// URL of an object served through /api/uploads
+const uploadsUrl = (publicId) => `/api/uploads/${publicId}`;
+
+/**
+ * Files on local disk (development and single-server deployments)
+ */
+class LocalStorage {
+  constructor(options = {}) {
+    this.name = "local";
+    this.directory = path.resolve(
+      options.directory ||
+        process.env.LOCAL_UPLOADS_DIR ||
+        path.join(__dirname, "..", "public", "uploads")
+    );
+  }
+
+  // Absolute path of an object, refusing keys that leave the directory
+  resolve(publicId) {
+    const filepath = path.resolve(this.directory, String(publicId));
+
+    if (!filepath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${publicId}`);
+    }
+    return filepath;
+  }
+
+  async save(file, key) {
+    const filepath = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.promises.writeFile(filepath, file.data);
+
+    return { url: this.url(key), publicId: key };
+  }
+
+  url(publicId) {
+    return uploadsUrl(publicId);
+  }
+
+  async remove(publicId) {
+    try {
+      await fs.promises.unlink(this.resolve(publicId));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  async open(publicId) {
+    const filepath = this.resolve(publicId);
+
+    try {
+      await fs.promises.access(filepath);
+    } catch (error) {
+      return null;
+    }
+
+    return { stream: fs.createReadStream(filepath) };
+  }
+
+  async *list(prefix) {
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+
+      const files = [];
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          files.push(...(await walk(entryPath)));
+        } else {
+          const { mtime } = await fs.promises.stat(entryPath);
+          files.push({
+            publicId: path
+              .relative(this.directory, entryPath)
+              .split(path.sep)
+              .join("/"),
+            createdAt: mtime,
+          });
+        }
+      }
+      return files;
+    };
+
+    yield await walk(this.resolve(prefix));
+  }
+}
+
+/**
+ * Cloudinary (images are served from Cloudinary's CDN)
+ */
+class CloudinaryStorage {
+  constructor(options = {}) {
+    this.name = "cloudinary";
+    this.folder = options.folder || "tally";
+
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+  }
+
+  async save(file, key) {
+    // Cloudinary adds the extension for the stored format itself
+    const dataUri = `data:${file.mimetype};base64,${file.data.toString(
+      "base64"
+    )}`;
+    const result = await cloudinary.uploader.upload(dataUri, {
+      public_id: `${this.folder}/${key.replace(/\.[^./]+$/, "")}`,
+    });
+
+    return { url: result.secure_url, publicId: result.public_id };
+  }
+
+  url(publicId) {
+    return cloudinary.url(publicId, { secure: true, format: "jpg" });
+  }
+
+  async remove(publicId) {
+    await cloudinary.uploader.destroy(publicId);
+  }
+
+  async *list(prefix) {
+    let cursor;
+
+    do {
+      const result = await cloudinary.api.resources({
+        type: "upload",
+        prefix: `${this.folder}/${prefix}`,
+        max_results: 500,
+        next_cursor: cursor,
+      });
+
+      yield result.resources.map((resource) => ({
+        publicId: resource.public_id,
+        createdAt: new Date(resource.created_at),
+      }));
+
+      cursor = result.next_cursor;
+    } while (cursor);
+  }
+}
+
+/**
+ * Amazon S3 or an S3-compatible service such as MinIO
+ * Objects are private and served through /api/uploads unless S3_PUBLIC_URL
+ * points at a public bucket or CDN.
+ */
+class S3Storage {
+  constructor(options = {}) {
+    this.name = "s3";
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.publicUrl = options.publicUrl || process.env.S3_PUBLIC_URL;
+
+    if (!this.bucket) {
+      throw new Error("S3_BUCKET must be set to use S3 storage");
+    }
+
+    this.client =
+      options.client ||
+      new S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        // MinIO and most self-hosted services need path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        credentials: process.env.S3_ACCESS_KEY_ID
+          ? {
+              accessKeyId: process.env.S3_ACCESS_KEY_ID,
+              secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            }
+          : undefined,
+      });
+  }
+
+  async save(file, key) {
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: file.data,
+        ContentType: file.mimetype,
+      })
+    );
+
+    return { url: this.url(key), publicId: key };
+  }
+
+  url(publicId) {
+    return this.publicUrl
+      ? `${this.publicUrl.replace(/\/$/, "")}/${publicId}`
+      : uploadsUrl(publicId);
+  }
+
+  async remove(publicId) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: publicId })
+    );
+  }
+
+  async open(publicId) {
+    try {
+      const result = await this.client.send(
+        new GetObjectCommand({ Bucket: this.bucket, Key: publicId })
+      );
+      return { stream: result.Body, contentType: result.ContentType };
+    } catch (error) {
+      if (error.name === "NoSuchKey") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async *list(prefix) {
+    let token;
+
+    do {
+      const result = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: token,
+        })
+      );
+
+      yield (result.Contents || []).map((object) => ({
+        publicId: object.Key,
+        createdAt: object.LastModified,
+      }));
+
+      token = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (token);
+  }
+}
+
+module.exports = {
+  LocalStorage,
+  CloudinaryStorage,
+  S3Storage,
+};
@@ -0,0 +1,164 @@
+// utils/totp.js - Time-based one-time passwords (RFC 6238) for two-factor auth
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string without padding
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @returns {string} - 160-bit secret in base32
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Current time step
+ * @param {number} time - Time in milliseconds
+ * @returns {number} - Step counter
+ */
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code for a given step (HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded numeric code
+ */
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Generate the current code for a secret
+ * @param {string} secret - Base32 secret
+ * @returns {string} - Current code
+ */
+exports.generateCode = (secret) => generateCodeForStep(secret, getStep());
+
+/**
+ * Verify a code, allowing for small clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {number} options.window - Steps accepted either side of now
+ * @param {number} options.lastUsedStep - Reject this step and earlier (prevents replay)
+ * @returns {number|null} - Matching step, or null if the code is invalid
+ */
+exports.verifyCode = (secret, code, { window = 1, lastUsedStep } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const currentStep = getStep();
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (typeof lastUsedStep === "number" && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateCodeForStep(secret, step);
+
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator app enrollment (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (the user's email)
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} - otpauth URI
+ */
+exports.buildOtpauthUri = (secret, accountName, issuer = "Niblet") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
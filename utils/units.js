@@ -0,0 +1,158 @@
+// utils/units.js - Unit normalization and portion-to-grams conversion
+/**
+ * Foods define nutrition per 100 g plus named servings in grams, e.g.
+ * { servings: { piece: 50, cup: 243 }, defaultUnit: "piece" }.
+ */
+
+// Unit spellings mapped to canonical unit names
+const UNIT_ALIASES = {
+  g: "g",
+  gr: "g",
+  gram: "g",
+  grams: "g",
+  kg: "kg",
+  kilo: "kg",
+  kilos: "kg",
+  kilogram: "kg",
+  kilograms: "kg",
+  oz: "oz",
+  ounce: "oz",
+  ounces: "oz",
+  lb: "lb",
+  lbs: "lb",
+  pound: "lb",
+  pounds: "lb",
+  ml: "ml",
+  milliliter: "ml",
+  milliliters: "ml",
+  millilitre: "ml",
+  millilitres: "ml",
+  l: "l",
+  liter: "l",
+  liters: "l",
+  litre: "l",
+  litres: "l",
+  cup: "cup",
+  cups: "cup",
+  tbsp: "tbsp",
+  tbs: "tbsp",
+  tablespoon: "tbsp",
+  tablespoons: "tbsp",
+  tsp: "tsp",
+  teaspoon: "tsp",
+  teaspoons: "tsp",
+  slice: "slice",
+  slices: "slice",
+  piece: "piece",
+  pieces: "piece",
+  pc: "piece",
+  pcs: "piece",
+  bar: "bar",
+  bars: "bar",
+  serving: "serving",
+  servings: "serving",
+  portion: "serving",
+  portions: "serving",
+  bowl: "bowl",
+  bowls: "bowl",
+  glass: "glass",
+  glasses: "glass",
+  can: "can",
+  cans: "can",
+  handful: "handful",
+  handfuls: "handful",
+  scoop: "scoop",
+  scoops: "scoop",
+};
+
+// Grams in one mass unit
+const MASS_UNITS = {
+  g: 1,
+  kg: 1000,
+  oz: 28.35,
+  lb: 453.6,
+};
+
+// Millilitres in one volume unit
+const VOLUME_UNITS = {
+  ml: 1,
+  l: 1000,
+  cup: 240,
+  tbsp: 15,
+  tsp: 5,
+  glass: 240,
+  can: 355,
+};
+
+/**
+ * Normalize a canonical unit name from any supported spelling
+ * @param {string} unit - Unit as written
+ * @returns {string|null} - Canonical unit or null if unknown
+ */
+const normalizeUnit = (unit) => {
+  if (!unit) return null;
+
+  return (
+    UNIT_ALIASES[String(unit).trim().toLowerCase().replace(/\.$/, "")] || null
+  );
+};
+
+/**
+ * Grams per millilitre for a food, derived from its volume servings
+ * Falls back to 1 (water) when the food has no volume serving.
+ * @param {Object} food - Food with servings
+ * @returns {number} - Density in g/ml
+ */
+const densityOf = (food) => {
+  const servings = food.servings || {};
+  const volumeUnit = Object.keys(servings).find((unit) => VOLUME_UNITS[unit]);
+
+  return volumeUnit ? servings[volumeUnit] / VOLUME_UNITS[volumeUnit] : 1;
+};
+
+/**
+ * Convert a quantity and unit of a food into grams
+ * - mass units convert directly
+ * - named servings of the food ("slice", "cup") use their weight
+ * - other volume units convert through the food's density
+ * - a bare count ("2 eggs") uses the food's piece weight if it has one
+ * - anything else counts default servings
+ * @param {Object} food - Food with servings and defaultUnit
+ * @param {number|null} quantity - Amount (null if not given)
+ * @param {string|null} unit - Canonical unit (null if not given)
+ * @returns {Object} - { grams, unit } with the unit that was applied
+ */
+const portionToGrams = (food, quantity, unit) => {
+  const servings = food.servings || {};
+  const amount = quantity === null || quantity === undefined ? 1 : quantity;
+
+  if (MASS_UNITS[unit]) {
+    return { grams: amount * MASS_UNITS[unit], unit };
+  }
+
+  if (unit && servings[unit]) {
+    return { grams: amount * servings[unit], unit };
+  }
+
+  if (VOLUME_UNITS[unit]) {
+    return { grams: amount * VOLUME_UNITS[unit] * densityOf(food), unit };
+  }
+
+  if (!unit && amount === quantity && servings.piece) {
+    return { grams: amount * servings.piece, unit: "piece" };
+  }
+
+  const defaultUnit = food.defaultUnit || "serving";
+
+  return {
+    grams: amount * (servings[defaultUnit] || 100),
+    unit: defaultUnit,
+  };
+};
+
+module.exports = {
+  MASS_UNITS,
+  VOLUME_UNITS,
+  normalizeUnit,
+  portionToGrams,
+};